@@ -6,11 +6,13 @@ import {Ownable} from "./utils/Ownable.sol";
 
 contract ManagerRegistry is Ownable {
     address public authority;
+    bool public useCache;
 
     mapping(address => bool) public isManager;
 
     event AuthorityUpdated(address indexed previousAuthority, address indexed newAuthority);
     event ManagerSynced(address indexed manager, bool active);
+    event CacheModeUpdated(bool useCache);
 
     error InvalidAuthority();
 
@@ -26,6 +28,13 @@ contract ManagerRegistry is Ownable {
         emit AuthorityUpdated(previous, newAuthority);
     }
 
+    /// @notice In cache mode `isAuthorizedManager` answers from the synced `isManager` list, so authority
+    /// changes only take effect once someone calls `syncManager`/`syncManagers`.
+    function setCacheMode(bool enabled) external onlyOwner {
+        useCache = enabled;
+        emit CacheModeUpdated(enabled);
+    }
+
     function syncManager(address manager) public returns (bool active) {
         active = IManagerAuthority(authority).isAuthorizedManager(manager);
         isManager[manager] = active;
@@ -40,6 +49,7 @@ contract ManagerRegistry is Ownable {
     }
 
     function isAuthorizedManager(address manager) external view returns (bool) {
+        if (useCache) return isManager[manager];
         return IManagerAuthority(authority).isAuthorizedManager(manager);
     }
 }
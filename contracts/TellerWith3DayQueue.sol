@@ -3,16 +3,34 @@ pragma solidity ^0.8.24;
 
 import {IERC20} from "./interfaces/IERC20.sol";
 import {USDeBoringVault} from "./USDeBoringVault.sol";
+import {Ownable} from "./utils/Ownable.sol";
 import {ReentrancyGuard} from "./utils/ReentrancyGuard.sol";
 
-contract TellerWith3DayQueue is ReentrancyGuard {
+/// @notice Entry point for deposits and queued withdrawals. Besides its own request-id API it is an
+/// ERC-4626 facade with ERC-7540 asynchronous redemption and ERC-7575 split share token: shares live
+/// in the vault (`share()`), deposits and mints settle instantly, redeems go through the 3-day queue.
+contract TellerWith3DayQueue is Ownable, ReentrancyGuard {
     uint256 public constant WITHDRAW_DELAY = 3 days;
 
+    bytes4 private constant ERC165_INTERFACE_ID = 0x01ffc9a7;
+    bytes4 private constant ERC7540_OPERATOR_INTERFACE_ID = 0xe3bc4e65;
+    bytes4 private constant ERC7540_REDEEM_INTERFACE_ID = 0x620ee8e4;
+    bytes4 private constant ERC7575_INTERFACE_ID = 0x2f0a18c5;
+
     USDeBoringVault public immutable vault;
     IERC20 public immutable asset;
 
     uint256 public nextRequestId;
 
+    /// @notice Deposit limits in assets; zero means unlimited.
+    uint256 public depositCap;
+    uint256 public accountCap;
+    bool public depositsPaused;
+    bool public withdrawRequestsPaused;
+    bool public allowlistEnabled;
+    /// @notice Keyed on the share receiver, like the account cap, so maxDeposit(receiver) matches.
+    mapping(address => bool) public allowedDepositor;
+
     struct WithdrawRequest {
         address owner;
         uint256 shares;
@@ -21,6 +39,13 @@ contract TellerWith3DayQueue is ReentrancyGuard {
     }
 
     mapping(uint256 => WithdrawRequest) public withdrawRequests;
+    mapping(address => address) public settlementReceiver;
+    mapping(address => mapping(address => bool)) public isOperator;
+
+    /// @dev Request ids per controller in creation order, and the first one that may still be open.
+    /// Every request has the same delay, so the matured open requests are a prefix of the rest.
+    mapping(address => uint256[]) internal _controllerRequests;
+    mapping(address => uint256) internal _claimCursor;
 
     event Deposited(address indexed caller, address indexed receiver, uint256 assets, uint256 shares);
     event WithdrawRequested(uint256 indexed requestId, address indexed owner, uint256 shares, uint256 unlockTimestamp);
@@ -32,6 +57,30 @@ contract TellerWith3DayQueue is ReentrancyGuard {
         uint256 shares,
         uint256 assets
     );
+    event SettlementReceiverSet(address indexed owner, address indexed receiver);
+    event WithdrawSettled(uint256 indexed requestId, address indexed keeper);
+    event DepositCapUpdated(uint256 cap);
+    event AccountCapUpdated(uint256 cap);
+    event DepositsPauseUpdated(bool paused);
+    event WithdrawRequestsPauseUpdated(bool paused);
+    event AllowlistUpdated(bool enabled);
+    event DepositorAllowed(address indexed depositor, bool allowed);
+    event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares);
+    event Withdraw(
+        address indexed sender,
+        address indexed receiver,
+        address indexed owner,
+        uint256 assets,
+        uint256 shares
+    );
+    event RedeemRequest(
+        address indexed controller,
+        address indexed owner,
+        uint256 indexed requestId,
+        address sender,
+        uint256 shares
+    );
+    event OperatorSet(address indexed controller, address indexed operator, bool approved);
 
     error InvalidAddress();
     error ZeroAmount();
@@ -40,8 +89,16 @@ contract TellerWith3DayQueue is ReentrancyGuard {
     error RequestNotMatured();
     error TransferFailed();
     error NoAssetsAvailable();
+    error DepositsPaused();
+    error WithdrawRequestsPaused();
+    error DepositorNotAllowed(address depositor);
+    error DepositCapExceeded(uint256 assets, uint256 available);
+    error AccountCapExceeded(address account, uint256 assets, uint256 available);
+    error NotOperator();
+    error AsyncRedeem();
+    error ExceedsClaimable(uint256 shares, uint256 claimable);
 
-    constructor(address vault_) {
+    constructor(address owner_, address vault_) Ownable(owner_) {
         if (vault_ == address(0)) revert InvalidAddress();
         vault = USDeBoringVault(payable(vault_));
         asset = vault.asset();
@@ -50,6 +107,8 @@ contract TellerWith3DayQueue is ReentrancyGuard {
     function deposit(uint256 assets, address receiver) external nonReentrant returns (uint256 shares) {
         if (assets == 0) revert ZeroAmount();
         if (receiver == address(0)) revert InvalidAddress();
+        vault.accrueFees();
+        _checkDepositLimits(assets, receiver);
 
         shares = previewDeposit(assets);
         if (shares == 0) revert ZeroAmount();
@@ -58,23 +117,41 @@ contract TellerWith3DayQueue is ReentrancyGuard {
         vault.mintShares(receiver, shares);
 
         emit Deposited(msg.sender, receiver, assets, shares);
+        emit Deposit(msg.sender, receiver, assets, shares);
     }
 
-    function requestWithdraw(uint256 shares) external nonReentrant returns (uint256 requestId) {
+    /// @notice Mints exactly `shares` to `receiver`, pulling the assets previewMint rounds up to.
+    function mint(uint256 shares, address receiver) external nonReentrant returns (uint256 assets) {
         if (shares == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert InvalidAddress();
+        vault.accrueFees();
 
-        if (!vault.transferFrom(msg.sender, address(this), shares)) revert TransferFailed();
+        assets = previewMint(shares);
+        _checkDepositLimits(assets, receiver);
 
-        requestId = ++nextRequestId;
-        uint64 unlockTimestamp = uint64(block.timestamp + WITHDRAW_DELAY);
-        withdrawRequests[requestId] = WithdrawRequest({
-            owner: msg.sender,
-            shares: shares,
-            unlockTimestamp: unlockTimestamp,
-            handled: false
-        });
+        if (!asset.transferFrom(msg.sender, address(vault), assets)) revert TransferFailed();
+        vault.mintShares(receiver, shares);
 
-        emit WithdrawRequested(requestId, msg.sender, shares, unlockTimestamp);
+        emit Deposited(msg.sender, receiver, assets, shares);
+        emit Deposit(msg.sender, receiver, assets, shares);
+    }
+
+    function requestWithdraw(uint256 shares) external nonReentrant returns (uint256 requestId) {
+        return _requestRedeem(shares, msg.sender, msg.sender);
+    }
+
+    /// @notice ERC-7540 request: queues `owner`'s shares for `controller`, who alone can cancel or
+    /// claim them once the delay has passed. The caller must act for both, so nobody can pile
+    /// requests onto another controller's queue and grow the loops in maxRedeem and the claims.
+    function requestRedeem(uint256 shares, address controller, address owner)
+        external
+        nonReentrant
+        returns (uint256 requestId)
+    {
+        if (controller == address(0)) revert InvalidAddress();
+        if (owner != msg.sender && !isOperator[owner][msg.sender]) revert NotOperator();
+        _checkController(controller);
+        return _requestRedeem(shares, controller, owner);
     }
 
     function cancelWithdraw(uint256 requestId) external nonReentrant {
@@ -96,22 +173,295 @@ contract TellerWith3DayQueue is ReentrancyGuard {
         if (request.handled) revert RequestHandled();
         if (block.timestamp < request.unlockTimestamp) revert RequestNotMatured();
 
-        assetsOut = previewRedeem(request.shares);
+        vault.accrueFees();
+        assetsOut = vault.convertToAssets(request.shares);
         if (assetsOut == 0) revert NoAssetsAvailable();
 
+        _payOut(requestId, request, receiver, assetsOut);
+    }
+
+    /// @notice ERC-7540 claim of exactly `shares` from the controller's matured requests, oldest
+    /// first; the last request touched may be left partly open.
+    function redeem(uint256 shares, address receiver, address controller)
+        external
+        nonReentrant
+        returns (uint256 assets)
+    {
+        if (shares == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert InvalidAddress();
+        _checkController(controller);
+        vault.accrueFees();
+
+        assets = vault.convertToAssets(shares);
+        if (assets == 0) revert NoAssetsAvailable();
+        _claim(controller, receiver, shares, assets);
+    }
+
+    /// @notice ERC-7540 claim of exactly `assets`, burning the matured shares they take, rounded up.
+    function withdraw(uint256 assets, address receiver, address controller)
+        external
+        nonReentrant
+        returns (uint256 shares)
+    {
+        if (assets == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert InvalidAddress();
+        _checkController(controller);
+        vault.accrueFees();
+
+        shares = _toSharesUp(assets);
+        _claim(controller, receiver, shares, assets);
+    }
+
+    function setOperator(address operator, bool approved) external returns (bool) {
+        if (operator == msg.sender) revert InvalidAddress();
+        isOperator[msg.sender][operator] = approved;
+        emit OperatorSet(msg.sender, operator, approved);
+        return true;
+    }
+
+    /// @notice Opts the caller's requests into keeper settlement, paying out to `receiver`.
+    /// The zero address opts out again.
+    function setSettlementReceiver(address receiver) external {
+        settlementReceiver[msg.sender] = receiver;
+        emit SettlementReceiverSet(msg.sender, receiver);
+    }
+
+    /// @notice Lets anyone settle matured requests whose owner opted in. Requests that are handled,
+    /// not matured, not opted in or worth zero assets are skipped so one stale id cannot sink a batch.
+    function settleWithdraws(uint256[] calldata requestIds) external nonReentrant returns (uint256 settled) {
+        vault.accrueFees();
+        for (uint256 i = 0; i < requestIds.length; i++) {
+            WithdrawRequest storage request = withdrawRequests[requestIds[i]];
+            address receiver = settlementReceiver[request.owner];
+            if (receiver == address(0) || request.handled || block.timestamp < request.unlockTimestamp) continue;
+
+            uint256 assetsOut = vault.convertToAssets(request.shares);
+            if (assetsOut == 0) continue;
+
+            _payOut(requestIds[i], request, receiver, assetsOut);
+            emit WithdrawSettled(requestIds[i], msg.sender);
+            settled++;
+        }
+    }
+
+    function setDepositCap(uint256 cap) external onlyOwner {
+        depositCap = cap;
+        emit DepositCapUpdated(cap);
+    }
+
+    function setAccountCap(uint256 cap) external onlyOwner {
+        accountCap = cap;
+        emit AccountCapUpdated(cap);
+    }
+
+    /// @notice Pausing deposits and pausing withdraw requests are independent; claims, cancels and
+    /// settlement of already queued requests are never paused.
+    function setDepositsPaused(bool paused) external onlyOwner {
+        depositsPaused = paused;
+        emit DepositsPauseUpdated(paused);
+    }
+
+    function setWithdrawRequestsPaused(bool paused) external onlyOwner {
+        withdrawRequestsPaused = paused;
+        emit WithdrawRequestsPauseUpdated(paused);
+    }
+
+    function setAllowlistEnabled(bool enabled) external onlyOwner {
+        allowlistEnabled = enabled;
+        emit AllowlistUpdated(enabled);
+    }
+
+    function setDepositorAllowed(address depositor, bool allowed) external onlyOwner {
+        if (depositor == address(0)) revert InvalidAddress();
+        allowedDepositor[depositor] = allowed;
+        emit DepositorAllowed(depositor, allowed);
+    }
+
+    function share() external view returns (address) {
+        return address(vault);
+    }
+
+    function totalAssets() external view returns (uint256) {
+        return vault.totalAssets();
+    }
+
+    function convertToShares(uint256 assets) external view returns (uint256) {
+        return vault.convertToShares(assets);
+    }
+
+    function convertToAssets(uint256 shares) external view returns (uint256) {
+        return vault.convertToAssets(shares);
+    }
+
+    /// @notice Zero while deposits are paused or `receiver` is off the allowlist, otherwise the
+    /// room left under both caps.
+    function maxDeposit(address receiver) public view returns (uint256 room) {
+        if (depositsPaused || (allowlistEnabled && !allowedDepositor[receiver])) return 0;
+
+        room = type(uint256).max;
+        if (depositCap != 0) {
+            uint256 total = vault.totalAssets();
+            room = total >= depositCap ? 0 : depositCap - total;
+        }
+        if (accountCap != 0) {
+            uint256 held = vault.convertToAssets(vault.balanceOf(receiver));
+            uint256 accountRoom = held >= accountCap ? 0 : accountCap - held;
+            if (accountRoom < room) room = accountRoom;
+        }
+    }
+
+    function maxMint(address receiver) external view returns (uint256) {
+        uint256 room = maxDeposit(receiver);
+        return room == type(uint256).max ? room : vault.convertToShares(room);
+    }
+
+    function previewDeposit(uint256 assets) public view returns (uint256 shares) {
+        return vault.convertToShares(assets);
+    }
+
+    function previewMint(uint256 shares) public view returns (uint256 assets) {
+        uint256 supply = vault.totalSupplyWithFees();
+        uint256 assetsInVault = vault.totalAssets();
+        if (supply == 0 || assetsInVault == 0) return shares;
+        return _mulDivUp(shares, assetsInVault, supply);
+    }
+
+    /// @notice Redemption is asynchronous, so ERC-7540 requires the synchronous previews to revert.
+    function previewRedeem(uint256) external pure returns (uint256) {
+        revert AsyncRedeem();
+    }
+
+    function previewWithdraw(uint256) external pure returns (uint256) {
+        revert AsyncRedeem();
+    }
+
+    function pendingRedeemRequest(uint256 requestId, address controller) external view returns (uint256 shares) {
+        WithdrawRequest storage request = withdrawRequests[requestId];
+        if (request.owner != controller || request.handled || block.timestamp >= request.unlockTimestamp) return 0;
+        return request.shares;
+    }
+
+    function claimableRedeemRequest(uint256 requestId, address controller) external view returns (uint256 shares) {
+        WithdrawRequest storage request = withdrawRequests[requestId];
+        if (request.owner != controller || request.handled || block.timestamp < request.unlockTimestamp) return 0;
+        return request.shares;
+    }
+
+    /// @notice Shares across the controller's matured, open requests.
+    function maxRedeem(address controller) public view returns (uint256 shares) {
+        uint256[] storage ids = _controllerRequests[controller];
+        for (uint256 i = _claimCursor[controller]; i < ids.length; i++) {
+            WithdrawRequest storage request = withdrawRequests[ids[i]];
+            if (request.handled) continue;
+            if (block.timestamp < request.unlockTimestamp) break;
+            shares += request.shares;
+        }
+    }
+
+    function maxWithdraw(address controller) external view returns (uint256) {
+        return vault.convertToAssets(maxRedeem(controller));
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == ERC165_INTERFACE_ID || interfaceId == ERC7540_OPERATOR_INTERFACE_ID
+            || interfaceId == ERC7540_REDEEM_INTERFACE_ID || interfaceId == ERC7575_INTERFACE_ID;
+    }
+
+    function _requestRedeem(uint256 shares, address controller, address owner) internal returns (uint256 requestId) {
+        if (shares == 0) revert ZeroAmount();
+        if (withdrawRequestsPaused) revert WithdrawRequestsPaused();
+
+        if (!vault.transferFrom(owner, address(this), shares)) revert TransferFailed();
+
+        requestId = ++nextRequestId;
+        uint64 unlockTimestamp = uint64(block.timestamp + WITHDRAW_DELAY);
+        withdrawRequests[requestId] = WithdrawRequest({
+            owner: controller,
+            shares: shares,
+            unlockTimestamp: unlockTimestamp,
+            handled: false
+        });
+        _controllerRequests[controller].push(requestId);
+
+        emit WithdrawRequested(requestId, controller, shares, unlockTimestamp);
+        emit RedeemRequest(controller, owner, requestId, msg.sender, shares);
+    }
+
+    function _checkController(address controller) internal view {
+        if (controller != msg.sender && !isOperator[controller][msg.sender]) revert NotOperator();
+    }
+
+    /// @dev Called after accrueFees in both deposit and mint, so the account cap prices the
+    /// receiver's holdings at the same share price whichever entry point is used.
+    function _checkDepositLimits(uint256 assets, address receiver) internal view {
+        if (depositsPaused) revert DepositsPaused();
+        if (allowlistEnabled && !allowedDepositor[receiver]) revert DepositorNotAllowed(receiver);
+
+        if (depositCap != 0) {
+            uint256 total = vault.totalAssets();
+            if (total + assets > depositCap) revert DepositCapExceeded(assets, total >= depositCap ? 0 : depositCap - total);
+        }
+        if (accountCap != 0) {
+            uint256 held = vault.convertToAssets(vault.balanceOf(receiver));
+            if (held + assets > accountCap) {
+                revert AccountCapExceeded(receiver, assets, held >= accountCap ? 0 : accountCap - held);
+            }
+        }
+    }
+
+    function _payOut(uint256 requestId, WithdrawRequest storage request, address receiver, uint256 assetsOut) internal {
         request.handled = true;
 
         vault.burnShares(address(this), request.shares);
         vault.transferAsset(receiver, assetsOut);
 
-        emit WithdrawClaimed(requestId, msg.sender, receiver, request.shares, assetsOut);
+        emit WithdrawClaimed(requestId, request.owner, receiver, request.shares, assetsOut);
+        emit Withdraw(msg.sender, receiver, request.owner, assetsOut, request.shares);
     }
 
-    function previewDeposit(uint256 assets) public view returns (uint256 shares) {
-        return vault.convertToShares(assets);
+    /// @dev Consumes `shares` from the controller's matured requests and pays `assets` once. Each
+    /// request gets a pro-rata WithdrawClaimed; the last one takes the rounding remainder.
+    function _claim(address controller, address receiver, uint256 shares, uint256 assets) internal {
+        uint256 claimable = maxRedeem(controller);
+        if (shares > claimable) revert ExceedsClaimable(shares, claimable);
+
+        uint256[] storage ids = _controllerRequests[controller];
+        uint256 sharesLeft = shares;
+        uint256 assetsLeft = assets;
+        for (uint256 i = _claimCursor[controller]; sharesLeft != 0; i++) {
+            WithdrawRequest storage request = withdrawRequests[ids[i]];
+            if (request.handled) continue;
+
+            uint256 used = sharesLeft < request.shares ? sharesLeft : request.shares;
+            uint256 paid = used == sharesLeft ? assetsLeft : assets * used / shares;
+            request.shares -= used;
+            if (request.shares == 0) request.handled = true;
+            sharesLeft -= used;
+            assetsLeft -= paid;
+            emit WithdrawClaimed(ids[i], controller, receiver, used, paid);
+        }
+        _advanceCursor(controller);
+
+        vault.burnShares(address(this), shares);
+        vault.transferAsset(receiver, assets);
+        emit Withdraw(msg.sender, receiver, controller, assets, shares);
     }
 
-    function previewRedeem(uint256 shares) public view returns (uint256 assetsOut) {
-        return vault.convertToAssets(shares);
+    function _advanceCursor(address controller) internal {
+        uint256[] storage ids = _controllerRequests[controller];
+        uint256 cursor = _claimCursor[controller];
+        while (cursor < ids.length && withdrawRequests[ids[cursor]].handled) cursor++;
+        _claimCursor[controller] = cursor;
+    }
+
+    function _toSharesUp(uint256 assets) internal view returns (uint256) {
+        uint256 supply = vault.totalSupplyWithFees();
+        uint256 assetsInVault = vault.totalAssets();
+        if (supply == 0 || assetsInVault == 0) return assets;
+        return _mulDivUp(assets, supply, assetsInVault);
+    }
+
+    function _mulDivUp(uint256 x, uint256 y, uint256 denominator) internal pure returns (uint256) {
+        return (x * y + denominator - 1) / denominator;
     }
 }
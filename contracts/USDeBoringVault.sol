@@ -3,10 +3,24 @@ pragma solidity ^0.8.24;
 
 import {IERC20} from "./interfaces/IERC20.sol";
 import {ManagerRegistry} from "./ManagerRegistry.sol";
+import {MerkleProof} from "./utils/MerkleProof.sol";
 import {Ownable} from "./utils/Ownable.sol";
 import {ReentrancyGuard} from "./utils/ReentrancyGuard.sol";
 
 contract USDeBoringVault is Ownable, ReentrancyGuard {
+    struct ArgConstraint {
+        uint8 index;
+        bytes32 value;
+    }
+
+    struct BatchCall {
+        address target;
+        uint256 value;
+        bytes data;
+        ArgConstraint[] constraints;
+        bytes32[] proof;
+    }
+
     IERC20 public immutable asset;
     ManagerRegistry public immutable managerRegistry;
 
@@ -14,8 +28,20 @@ contract USDeBoringVault is Ownable, ReentrancyGuard {
     string public symbol;
     uint8 public constant decimals = 18;
 
+    uint256 public constant BPS = 10_000;
+    uint256 public constant MAX_MANAGEMENT_FEE_BPS = 500;
+    uint256 public constant MAX_PERFORMANCE_FEE_BPS = 5_000;
+    uint256 internal constant ONE_SHARE = 1e18;
+
     uint256 public totalSupply;
     address public teller;
+    bytes32 public manageRoot;
+
+    address public feeRecipient;
+    uint16 public managementFeeBps;
+    uint16 public performanceFeeBps;
+    uint64 public lastFeeAccrual;
+    uint256 public highWaterMark = ONE_SHARE;
 
     mapping(address => uint256) public balanceOf;
     mapping(address => mapping(address => uint256)) public allowance;
@@ -24,6 +50,16 @@ contract USDeBoringVault is Ownable, ReentrancyGuard {
     event Approval(address indexed owner, address indexed spender, uint256 amount);
     event TellerUpdated(address indexed previousTeller, address indexed newTeller);
     event ManagerCall(address indexed manager, address indexed target, uint256 value, bytes data, bytes result);
+    event ManageRootUpdated(bytes32 previousRoot, bytes32 newRoot);
+    event FeeRecipientUpdated(address indexed previousRecipient, address indexed newRecipient);
+    event FeesUpdated(uint16 managementFeeBps, uint16 performanceFeeBps);
+    event FeesAccrued(
+        address indexed recipient,
+        uint256 managementAssets,
+        uint256 performanceAssets,
+        uint256 shares,
+        uint256 pricePerShare
+    );
 
     error InvalidAddress();
     error NotTeller();
@@ -31,6 +67,12 @@ contract USDeBoringVault is Ownable, ReentrancyGuard {
     error InsufficientBalance();
     error InsufficientAllowance();
     error ManagerCallFailed();
+    error ManageProofRequired();
+    error CallNotAllowed(address target, bytes4 selector);
+    error ArgumentNotAllowed(uint256 index, bytes32 expected, bytes32 actual);
+    error EmptyBatch();
+    error BatchCallFailed(uint256 index, bytes reason);
+    error FeeTooHigh();
 
     constructor(
         address owner_,
@@ -44,6 +86,7 @@ contract USDeBoringVault is Ownable, ReentrancyGuard {
         managerRegistry = ManagerRegistry(managerRegistry_);
         name = name_;
         symbol = symbol_;
+        lastFeeAccrual = uint64(block.timestamp);
     }
 
     modifier onlyTeller() {
@@ -63,6 +106,69 @@ contract USDeBoringVault is Ownable, ReentrancyGuard {
         emit TellerUpdated(previous, newTeller);
     }
 
+    /// @notice Restricts manager calls to the (target, selector, argument constraints) leaves under `newRoot`.
+    /// A zero root turns the policy off and `managerCall` is unrestricted again.
+    function setManageRoot(bytes32 newRoot) external onlyOwner {
+        bytes32 previous = manageRoot;
+        manageRoot = newRoot;
+        emit ManageRootUpdated(previous, newRoot);
+    }
+
+    function setFeeRecipient(address newRecipient) external onlyOwner {
+        accrueFees();
+        address previous = feeRecipient;
+        feeRecipient = newRecipient;
+        emit FeeRecipientUpdated(previous, newRecipient);
+    }
+
+    /// @notice `managementBps` is charged per year on total assets, `performanceBps` on price-per-share
+    /// gains above the high-water mark. Fees owed under the old rates are accrued first.
+    function setFees(uint16 managementBps, uint16 performanceBps) external onlyOwner {
+        if (managementBps > MAX_MANAGEMENT_FEE_BPS || performanceBps > MAX_PERFORMANCE_FEE_BPS) revert FeeTooHigh();
+        accrueFees();
+        managementFeeBps = managementBps;
+        performanceFeeBps = performanceBps;
+        emit FeesUpdated(managementBps, performanceBps);
+    }
+
+    /// @notice Mints the fees owed since the last accrual to `feeRecipient` as shares. The teller calls
+    /// this before every deposit and payout; anyone else may call it at any time.
+    function accrueFees() public returns (uint256 shares) {
+        (uint256 managementAssets, uint256 performanceAssets, uint256 feeShares) = previewFees();
+        lastFeeAccrual = uint64(block.timestamp);
+
+        if (feeShares != 0) _mint(feeRecipient, feeShares);
+        uint256 supply = totalSupply;
+        uint256 price = supply == 0 ? ONE_SHARE : totalAssets() * ONE_SHARE / supply;
+        if (price > highWaterMark) highWaterMark = price;
+
+        if (feeShares != 0) emit FeesAccrued(feeRecipient, managementAssets, performanceAssets, feeShares, price);
+        return feeShares;
+    }
+
+    /// @notice Fees owed since the last accrual, in assets, and the shares that would be minted for them.
+    /// Conversions already price these shares in, so accruing never moves the share price.
+    function previewFees()
+        public
+        view
+        returns (uint256 managementAssets, uint256 performanceAssets, uint256 feeShares)
+    {
+        uint256 supply = totalSupply;
+        uint256 assetsInVault = totalAssets();
+        if (feeRecipient == address(0) || supply == 0 || assetsInVault == 0) return (0, 0, 0);
+
+        uint256 elapsed = block.timestamp - lastFeeAccrual;
+        managementAssets = assetsInVault * managementFeeBps * elapsed / (BPS * 365 days);
+
+        uint256 price = assetsInVault * ONE_SHARE / supply;
+        if (price > highWaterMark) {
+            performanceAssets = (price - highWaterMark) * supply / ONE_SHARE * performanceFeeBps / BPS;
+        }
+
+        uint256 fees = managementAssets + performanceAssets;
+        if (fees != 0) feeShares = fees * supply / (assetsInVault - fees);
+    }
+
     function transfer(address to, uint256 amount) external returns (bool) {
         _transfer(msg.sender, to, amount);
         return true;
@@ -104,26 +210,64 @@ contract USDeBoringVault is Ownable, ReentrancyGuard {
         uint256 value,
         bytes calldata data
     ) external onlyManager nonReentrant returns (bytes memory result) {
-        if (target == address(0) || target == address(this)) revert InvalidAddress();
-        (bool success, bytes memory returndata) = target.call{value: value}(data);
-        if (!success) revert ManagerCallFailed();
-        emit ManagerCall(msg.sender, target, value, data, returndata);
-        return returndata;
+        if (manageRoot != bytes32(0)) revert ManageProofRequired();
+        return _managerCall(target, value, data);
+    }
+
+    function managerCallWithProof(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        ArgConstraint[] calldata constraints,
+        bytes32[] calldata proof
+    ) external onlyManager nonReentrant returns (bytes memory result) {
+        _checkManageProof(target, value, data, constraints, proof);
+        return _managerCall(target, value, data);
+    }
+
+    /// @notice Runs `calls` in order as one transaction; if any call reverts the whole batch is undone.
+    /// `constraints` and `proof` are only checked while a manage root is set.
+    function managerBatch(BatchCall[] calldata calls) external onlyManager nonReentrant returns (bytes[] memory results) {
+        if (calls.length == 0) revert EmptyBatch();
+        results = new bytes[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            BatchCall calldata call = calls[i];
+            _checkManageProof(call.target, call.value, call.data, call.constraints, call.proof);
+            (bool success, bytes memory returndata) = _callTarget(call.target, call.value, call.data);
+            if (!success) revert BatchCallFailed(i, returndata);
+            emit ManagerCall(msg.sender, call.target, call.value, call.data, returndata);
+            results[i] = returndata;
+        }
+    }
+
+    function manageLeaf(
+        address target,
+        bytes4 selector,
+        bool valueNonZero,
+        ArgConstraint[] calldata constraints
+    ) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(target, selector, valueNonZero, constraints))));
     }
 
     function totalAssets() public view returns (uint256) {
         return asset.balanceOf(address(this));
     }
 
+    /// @notice Supply the conversions price against: minted shares plus fee shares accrued but not yet minted.
+    function totalSupplyWithFees() public view returns (uint256) {
+        (, , uint256 feeShares) = previewFees();
+        return totalSupply + feeShares;
+    }
+
     function convertToShares(uint256 assets) public view returns (uint256 shares) {
-        uint256 supply = totalSupply;
+        uint256 supply = totalSupplyWithFees();
         uint256 assetsInVault = totalAssets();
         if (supply == 0 || assetsInVault == 0) return assets;
         return assets * supply / assetsInVault;
     }
 
     function convertToAssets(uint256 shares) public view returns (uint256 assetsAmount) {
-        uint256 supply = totalSupply;
+        uint256 supply = totalSupplyWithFees();
         uint256 assetsInVault = totalAssets();
         if (supply == 0 || assetsInVault == 0) return shares;
         return shares * assetsInVault / supply;
@@ -131,6 +275,49 @@ contract USDeBoringVault is Ownable, ReentrancyGuard {
 
     receive() external payable {}
 
+    function _managerCall(address target, uint256 value, bytes calldata data) internal returns (bytes memory) {
+        (bool success, bytes memory returndata) = _callTarget(target, value, data);
+        if (!success) revert ManagerCallFailed();
+        emit ManagerCall(msg.sender, target, value, data, returndata);
+        return returndata;
+    }
+
+    function _callTarget(
+        address target,
+        uint256 value,
+        bytes calldata data
+    ) internal returns (bool success, bytes memory returndata) {
+        if (target == address(0) || target == address(this)) revert InvalidAddress();
+        return target.call{value: value}(data);
+    }
+
+    function _checkManageProof(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        ArgConstraint[] calldata constraints,
+        bytes32[] calldata proof
+    ) internal view {
+        if (manageRoot == bytes32(0)) return;
+        if (data.length < 4) revert CallNotAllowed(target, bytes4(0));
+
+        bytes32 leaf = manageLeaf(target, bytes4(data[:4]), value > 0, constraints);
+        if (!MerkleProof.verify(proof, manageRoot, leaf)) revert CallNotAllowed(target, bytes4(data[:4]));
+        _checkArguments(data, constraints);
+    }
+
+    function _checkArguments(bytes calldata data, ArgConstraint[] calldata constraints) internal pure {
+        uint256 length = constraints.length;
+        for (uint256 i = 0; i < length; ++i) {
+            ArgConstraint calldata constraint = constraints[i];
+            uint256 end = 36 + uint256(constraint.index) * 32;
+            bytes32 actual = data.length >= end ? bytes32(data[end - 32:end]) : bytes32(0);
+            if (data.length < end || actual != constraint.value) {
+                revert ArgumentNotAllowed(constraint.index, constraint.value, actual);
+            }
+        }
+    }
+
     function _transfer(address from, address to, uint256 amount) internal {
         if (to == address(0)) revert InvalidAddress();
         uint256 fromBalance = balanceOf[from];
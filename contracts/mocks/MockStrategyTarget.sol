@@ -1,13 +1,25 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import {IERC20} from "../interfaces/IERC20.sol";
+
 contract MockStrategyTarget {
     uint256 public value;
+    mapping(address => uint256) public deposits;
 
     event ValueSet(uint256 nextValue);
+    event Deposited(address indexed from, address indexed token, uint256 amount);
+
+    error TransferFailed();
 
     function setValue(uint256 nextValue) external {
         value = nextValue;
         emit ValueSet(nextValue);
     }
+
+    function deposit(address token, uint256 amount) external {
+        if (!IERC20(token).transferFrom(msg.sender, address(this), amount)) revert TransferFailed();
+        deposits[msg.sender] += amount;
+        emit Deposited(msg.sender, token, amount);
+    }
 }
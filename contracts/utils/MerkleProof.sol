@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+library MerkleProof {
+    function verify(bytes32[] calldata proof, bytes32 root, bytes32 leaf) internal pure returns (bool) {
+        bytes32 computed = leaf;
+        uint256 length = proof.length;
+        for (uint256 i = 0; i < length; ++i) {
+            bytes32 node = proof[i];
+            computed = computed < node
+                ? keccak256(abi.encodePacked(computed, node))
+                : keccak256(abi.encodePacked(node, computed));
+        }
+        return computed == root;
+    }
+}
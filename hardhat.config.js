@@ -35,6 +35,11 @@ module.exports = {
       }
     }
   },
+  networks: {
+    rpc: {
+      url: process.env.RPC_URL || "http://127.0.0.1:8545"
+    }
+  },
   paths: {
     sources: "./contracts",
     tests: "./test"
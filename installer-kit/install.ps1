@@ -23,6 +23,15 @@ function Require-Node20OrHigher() {
   }
 }
 
+# Reads the doctor's JSON report so a busy port stops the kit before the demo server fails to bind.
+function Require-FreeDemoPort() {
+  $report = node scripts/doctor.js --json | Out-String | ConvertFrom-Json
+  $port = $report.checks | Where-Object { $_.name -eq "demo port" }
+  if ($port.status -ne "ok") {
+    throw "$($port.message). $($port.hint)"
+  }
+}
+
 $repoRoot = Resolve-Path (Join-Path $PSScriptRoot "..")
 Set-Location $repoRoot
 
@@ -48,6 +57,9 @@ Step "Running full demo script"
 npm run demo
 
 if ($StartWebDemo) {
+  Step "Checking the demo port"
+  Require-FreeDemoPort
+
   Step "Starting interactive website demo"
   npm run web:demo
 } else {
@@ -36,6 +36,20 @@ require_node20_or_higher() {
   fi
 }
 
+# Reads the doctor's JSON report so a busy port stops the kit before the demo server fails to bind.
+require_free_demo_port() {
+  node scripts/doctor.js --json | node -e '
+    let raw = "";
+    process.stdin.on("data", (chunk) => (raw += chunk)).on("end", () => {
+      const port = JSON.parse(raw).checks.find((check) => check.name === "demo port");
+      if (port.status !== "ok") {
+        console.error(`${port.message}. ${port.hint}`);
+        process.exit(1);
+      }
+    });
+  '
+}
+
 REPO_ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
 cd "$REPO_ROOT"
 
@@ -61,6 +75,9 @@ step "Running full demo script"
 npm run demo
 
 if [ "$START_WEB_DEMO" = true ]; then
+  step "Checking the demo port"
+  require_free_demo_port
+
   step "Starting interactive website demo"
   npm run web:demo
 else
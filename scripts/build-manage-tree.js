@@ -0,0 +1,56 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { namedActors } = require("./lib/stack");
+const { readManifest } = require("./lib/deploy");
+const { listPolicies, loadPolicy, buildPolicy } = require("./lib/manage-policy");
+
+function parseArgs(argv) {
+  const args = { policy: null, manifest: null, out: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === "--manifest") args.manifest = argv[++i];
+    else if (argv[i] === "--out") args.out = argv[++i];
+    else args.policy = argv[i];
+  }
+  return args;
+}
+
+// Contract names in the policy resolve against the manifest; actor names against the local signers.
+async function addressBook(manifestFile) {
+  const book = { actors: await namedActors() };
+  if (!manifestFile) return book;
+  for (const [key, entry] of Object.entries(readManifest(manifestFile).contracts)) {
+    book[key] = { target: entry.address };
+  }
+  return book;
+}
+
+async function main() {
+  const { policy: target, manifest, out } = parseArgs(process.argv.slice(2));
+  if (!target) {
+    console.error("Usage: npm run policy -- <file-or-name> [--manifest deployments/<network>.json] [--out tree.json]");
+    console.error(`Available policies: ${listPolicies().join(", ")}`);
+    process.exit(1);
+  }
+
+  let tree;
+  try {
+    tree = buildPolicy(await addressBook(manifest), loadPolicy(target, { allowFiles: true }));
+  } catch (error) {
+    if (error.field === "target" && !manifest) error.message += " Pass --manifest to resolve contract names.";
+    throw error;
+  }
+  const output = `${JSON.stringify(tree, null, 2)}\n`;
+  if (out) {
+    fs.writeFileSync(out, output);
+    console.log(`Manage root ${tree.root} (${tree.leaves.length} leaves) written to ${path.relative(process.cwd(), out)}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+const path = require("node:path");
+const { network } = require("hardhat");
+const { namedActors } = require("./lib/stack");
+const { loadDeployConfig, deployStack, writeManifest } = require("./lib/deploy");
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, "..", "deploy.config.json");
+
+async function main() {
+  const configFile = path.resolve(process.env.DEPLOY_CONFIG || DEFAULT_CONFIG_FILE);
+  const config = loadDeployConfig(configFile);
+  const actors = await namedActors();
+
+  console.log(`== Deploying to ${network.name} ==`);
+  console.log(`config:   ${path.relative(process.cwd(), configFile)}`);
+  console.log(`deployer: ${actors.deployer.address}`);
+
+  const c = await deployStack(actors, config);
+  for (const [key, entry] of Object.entries(c.manifest.contracts)) {
+    console.log(`${key.padEnd(9)} ${entry.contract} at ${entry.address}`);
+  }
+  for (const mint of config.mints) {
+    console.log(`minted    ${mint.amount} USDe to ${mint.to}`);
+  }
+
+  const file = writeManifest(c.manifest);
+  console.log(`== Manifest written to ${path.relative(process.cwd(), file)} ==`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -1,13 +1,40 @@
 const { execSync } = require("node:child_process");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const net = require("node:net");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const CONTRACTS_DIR = path.join(ROOT, "contracts");
+const ARTIFACTS_DIR = path.join(ROOT, "artifacts");
+const SOLIDITY_CACHE = path.join(ROOT, "cache", "solidity-files-cache.json");
+const HARDHAT_CONFIG = path.join(ROOT, "hardhat.config.js");
+const WEBSITE_DIR = path.join(ROOT, "website");
+const WEBSITE_ASSETS = ["index.html", "app.js", "styles.css"];
+const DEMO_PORT = Number(process.env.PORT || 4173);
+
+const args = process.argv.slice(2);
+const jsonMode = args.includes("--json");
+const strict = args.includes("--strict");
 
 const checks = [];
 
-function runCheck(name, fn) {
+// A failing check throws a CheckError with a hint; `level: "warn"` marks problems a later install step
+// fixes on its own (compile) or that only matter when starting the demo. `--strict` fails on those too.
+class CheckError extends Error {
+  constructor(message, hint, level = "fail") {
+    super(message);
+    this.hint = hint;
+    this.level = level;
+  }
+}
+
+async function runCheck(name, fn) {
   try {
-    const message = fn();
-    checks.push({ name, ok: true, message });
+    const message = await fn();
+    checks.push({ name, status: "ok", message, hint: null });
   } catch (error) {
-    checks.push({ name, ok: false, message: error.message });
+    checks.push({ name, status: error.level || "fail", message: error.message, hint: error.hint || null });
   }
 }
 
@@ -15,34 +42,154 @@ function cmd(command) {
   return execSync(command, { stdio: ["ignore", "pipe", "pipe"] }).toString().trim();
 }
 
-runCheck("Node.js", () => {
-  const version = process.version;
-  const major = Number(version.replace("v", "").split(".")[0]);
-  if (major < 20) throw new Error(`requires Node >= 20, found ${version}`);
-  return `ok (${version})`;
-});
-
-runCheck("npm", () => {
-  const version = cmd("npm --version");
-  return `ok (${version})`;
-});
+function relative(file) {
+  return path.relative(ROOT, file).split(path.sep).join("/");
+}
 
-runCheck("git", () => {
-  const version = cmd("git --version");
-  return `ok (${version})`;
-});
+function solidityFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return solidityFiles(file);
+    return entry.name.endsWith(".sol") ? [file] : [];
+  });
+}
 
-runCheck("hardhat", () => {
-  const version = cmd("npx hardhat --version");
-  return `ok (${version})`;
-});
+// Read from the source text: requiring hardhat.config.js would load Hardhat and the toolbox, and
+// this check has to work when exactly that setup is broken.
+function configuredSolcVersion() {
+  const source = fs.readFileSync(HARDHAT_CONFIG, "utf8");
+  const match = source.match(/solidity:\s*{[\s\S]*?version:\s*["']([^"']+)["']/) || source.match(/solidity:\s*["']([^"']+)["']/);
+  if (!match) throw new CheckError("no solidity.version found in hardhat.config.js", "Set solidity.version in hardhat.config.js.");
+  return match[1];
+}
 
-console.log("Environment check:");
-for (const result of checks) {
-  const mark = result.ok ? "[ok]" : "[fail]";
-  console.log(`${mark} ${result.name}: ${result.message}`);
+function portFree(port) {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", (error) => (error.code === "EADDRINUSE" ? resolve(false) : reject(error)));
+    server.once("listening", () => server.close(() => resolve(true)));
+    server.listen(port);
+  });
 }
 
-if (checks.some((c) => !c.ok)) {
-  process.exit(1);
+async function main() {
+  await runCheck("Node.js", () => {
+    const version = process.version;
+    const major = Number(version.replace("v", "").split(".")[0]);
+    if (major < 20) throw new CheckError(`requires Node >= 20, found ${version}`, "Install Node.js 20 or newer from https://nodejs.org.");
+    return `ok (${version})`;
+  });
+
+  await runCheck("npm", () => {
+    try {
+      return `ok (${cmd("npm --version")})`;
+    } catch (_) {
+      throw new CheckError("npm is not on PATH", "Reinstall Node.js, which ships npm, and open a new shell.");
+    }
+  });
+
+  await runCheck("git", () => {
+    try {
+      return `ok (${cmd("git --version")})`;
+    } catch (_) {
+      throw new CheckError("git is not on PATH", "Install git from https://git-scm.com.");
+    }
+  });
+
+  await runCheck("hardhat", () => {
+    try {
+      return `ok (${cmd("npx hardhat --version")})`;
+    } catch (_) {
+      throw new CheckError("npx hardhat --version failed", "Run npm install to restore the project dependencies.");
+    }
+  });
+
+  // hardhat.config.js swaps Hardhat's compiler download for the local solcjs build and refuses to
+  // compile when the two versions differ.
+  await runCheck("solc", () => {
+    const configured = configuredSolcVersion();
+    let local;
+    try {
+      local = require("solc").version().split("+")[0];
+    } catch (_) {
+      throw new CheckError("the solc package is not installed", "Run npm install to restore the project dependencies.");
+    }
+    if (local !== configured) {
+      throw new CheckError(
+        `local solc ${local} does not match solidity.version ${configured} in hardhat.config.js`,
+        `Run npm install --save-dev solc@${configured}, or set solidity.version to ${local} in hardhat.config.js.`
+      );
+    }
+    return `ok (${local} matches hardhat.config.js)`;
+  });
+
+  // Hardhat's own file cache records an md5 of each source it compiled and the artifacts it wrote.
+  await runCheck("artifacts", () => {
+    const hint = "Run npm run compile.";
+    if (!fs.existsSync(SOLIDITY_CACHE) || !fs.existsSync(ARTIFACTS_DIR)) {
+      throw new CheckError("contracts have not been compiled yet", hint, "warn");
+    }
+    const cache = JSON.parse(fs.readFileSync(SOLIDITY_CACHE, "utf8"));
+    const bySource = new Map(Object.values(cache.files || {}).map((entry) => [entry.sourceName, entry]));
+    const configured = configuredSolcVersion();
+
+    const missing = [];
+    const stale = [];
+    const sources = solidityFiles(CONTRACTS_DIR);
+    for (const file of sources) {
+      const sourceName = relative(file);
+      const entry = bySource.get(sourceName);
+      const artifactsPresent =
+        entry && entry.artifacts.every((name) => fs.existsSync(path.join(ARTIFACTS_DIR, sourceName, `${name}.json`)));
+      if (!artifactsPresent) {
+        missing.push(sourceName);
+        continue;
+      }
+      const hash = crypto.createHash("md5").update(fs.readFileSync(file)).digest("hex");
+      if (hash !== entry.contentHash || entry.solcConfig.version !== configured) stale.push(sourceName);
+    }
+
+    if (missing.length) throw new CheckError(`no artifacts for ${missing.join(", ")}`, hint, "warn");
+    if (stale.length) throw new CheckError(`artifacts older than ${stale.join(", ")}`, hint, "warn");
+    return `ok (${sources.length} sources compiled and up to date)`;
+  });
+
+  await runCheck("demo port", async () => {
+    if (await portFree(DEMO_PORT)) return `ok (${DEMO_PORT} is free)`;
+    throw new CheckError(
+      `port ${DEMO_PORT} is already in use`,
+      `Stop the process listening on ${DEMO_PORT}, or start the demo on another port with PORT=<port> npm run web:demo.`,
+      "warn"
+    );
+  });
+
+  await runCheck("website assets", () => {
+    const missing = WEBSITE_ASSETS.filter((name) => {
+      const file = path.join(WEBSITE_DIR, name);
+      return !fs.existsSync(file) || fs.statSync(file).size === 0;
+    });
+    if (missing.length) {
+      throw new CheckError(`missing or empty: ${missing.map((name) => `website/${name}`).join(", ")}`, "Restore them with git checkout -- website/.");
+    }
+    return `ok (${WEBSITE_ASSETS.join(", ")})`;
+  });
+
+  const failed = checks.some((check) => check.status === "fail" || (strict && check.status === "warn"));
+  if (jsonMode) {
+    console.log(JSON.stringify({ ok: !failed, strict, checks }, null, 2));
+  } else {
+    console.log("Environment check:");
+    for (const result of checks) {
+      console.log(`[${result.status}] ${result.name}: ${result.message}`);
+      if (result.hint) console.log(`       fix: ${result.hint}`);
+    }
+  }
+  return !failed;
 }
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,56 @@
+require("./lib/chain");
+const { namedActors } = require("./lib/stack");
+const { manifestPath, readManifest, attachStack } = require("./lib/deploy");
+const { feeReport } = require("./lib/fees");
+
+function parseArgs(argv) {
+  const args = { manifest: manifestPath(), period: "day", fromBlock: undefined, toBlock: undefined, json: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === "--manifest") args.manifest = argv[++i];
+    else if (argv[i] === "--period") args.period = argv[++i];
+    else if (argv[i] === "--from-block") args.fromBlock = Number(argv[++i]);
+    else if (argv[i] === "--to-block") args.toBlock = Number(argv[++i]);
+    else if (argv[i] === "--json") args.json = true;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const c = await attachStack(await namedActors(), readManifest(args.manifest));
+  const report = await feeReport(c, args);
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const { status } = report;
+  console.log(`== Fees for ${c.vault.target} per ${report.period} ==`);
+  console.log(
+    `Recipient ${status.recipient || "(none, fees off)"}: management ${status.managementBps} bps/year, ` +
+      `performance ${status.performanceBps} bps above high-water mark ${status.highWaterMark}`
+  );
+  console.table(
+    report.periods.map((row) => ({
+      start: row.start,
+      accruals: row.accruals,
+      management: row.management,
+      performance: row.performance,
+      total: row.total,
+      shares: row.shares
+    }))
+  );
+  console.log(`Total accrued: ${report.totals.total} USDe (${report.totals.shares} shares)`);
+  console.log(
+    `Pending since last accrual: ${status.pending.management} management + ${status.pending.performance} performance USDe`
+  );
+  console.log(`Recipient holds ${status.recipientShares} shares`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
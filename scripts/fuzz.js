@@ -0,0 +1,93 @@
+const fs = require("node:fs");
+const { INVARIANTS, describeAction, createHarness, runSequence, fuzz } = require("./lib/fuzz");
+
+function parseArgs(argv) {
+  const args = { seed: null, runs: 20, steps: 50, replay: null, out: null, json: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === "--seed") args.seed = Number(argv[++i]);
+    else if (argv[i] === "--runs") args.runs = Number(argv[++i]);
+    else if (argv[i] === "--steps") args.steps = Number(argv[++i]);
+    else if (argv[i] === "--replay") args.replay = argv[++i];
+    else if (argv[i] === "--out") args.out = argv[++i];
+    else if (argv[i] === "--json") args.json = true;
+  }
+  if (args.seed === null) args.seed = Math.floor(Math.random() * 2 ** 31);
+  for (const key of ["seed", "runs", "steps"]) {
+    if (!Number.isInteger(args[key]) || args[key] < 0) throw new Error(`--${key} must be a non-negative integer.`);
+  }
+  return args;
+}
+
+function printSequence(sequence, outcomes) {
+  sequence.forEach((action, i) => {
+    const outcome = outcomes[i];
+    const suffix = outcome.status === "reverted" ? ` (${outcome.reason})` : outcome.status === "skipped" ? " (skipped)" : "";
+    console.log(`  ${String(i + 1).padStart(3)}. ${describeAction(action)}${suffix}`);
+  });
+}
+
+async function replay(args) {
+  const saved = JSON.parse(fs.readFileSync(args.replay, "utf8"));
+  const sequence = Array.isArray(saved) ? saved : saved.sequence;
+  const result = await runSequence(await createHarness(), sequence);
+  if (args.json) {
+    console.log(JSON.stringify({ ok: result.failedAt < 0, violation: result.violation, sequence }, null, 2));
+  } else {
+    console.log(`== Replaying ${sequence.length} steps from ${args.replay} ==`);
+    printSequence(sequence.slice(0, result.outcomes.length), result.outcomes);
+    console.log(result.violation ? `Broken: ${result.violation.message}` : "All invariants held.");
+  }
+  return result.failedAt < 0;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.replay) return replay(args);
+
+  if (!args.json) {
+    console.log(`== Fuzzing ${args.runs} sequences of ${args.steps} steps from seed ${args.seed} ==`);
+    Object.values(INVARIANTS).forEach((text) => console.log(`  - ${text}`));
+  }
+  const result = await fuzz({
+    seed: args.seed,
+    runs: args.runs,
+    steps: args.steps,
+    onRun: ({ run, seed, result: runResult }) => {
+      if (args.json) return;
+      const reverted = runResult.outcomes.filter((outcome) => outcome.status === "reverted").length;
+      const state = runResult.failedAt >= 0 ? `BROKEN at step ${runResult.failedAt + 1}` : "ok";
+      console.log(`run ${run + 1} (seed ${seed}): ${runResult.outcomes.length} steps, ${reverted} reverted, ${state}`);
+    }
+  });
+
+  if (args.out && !result.ok) {
+    fs.writeFileSync(args.out, `${JSON.stringify({ seed: result.seed, violation: result.violation, sequence: result.sequence }, null, 2)}\n`);
+  }
+  if (args.json) {
+    console.log(JSON.stringify(result, (key, value) => (key === "outcomes" ? undefined : value), 2));
+    return result.ok;
+  }
+
+  const { stats } = result;
+  console.log(`${stats.runs} runs, ${stats.steps} steps (${stats.reverted} reverted, ${stats.skipped} skipped).`);
+  if (result.ok) {
+    console.log("All invariants held.");
+    return true;
+  }
+  console.log(`\nInvariant broken: ${INVARIANTS[result.violation.invariant] || result.violation.invariant}`);
+  console.log(`  ${result.violation.message}`);
+  console.log(
+    `Minimal failing sequence (${result.sequence.length} of ${result.originalLength} steps, ${result.replays} replays):`
+  );
+  printSequence(result.sequence, result.outcomes);
+  console.log(`Reproduce with: npm run fuzz -- --seed ${result.seed} --runs 1 --steps ${args.steps}`);
+  if (args.out) console.log(`Sequence written to ${args.out}; replay it with: npm run fuzz -- --replay ${args.out}`);
+  return false;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,65 @@
+const path = require("node:path");
+const {
+  BASELINE_FILE,
+  REPORT_DIR,
+  DEFAULT_THRESHOLD_PCT,
+  DEFAULT_MANAGER_COUNTS,
+  measureGas,
+  readBaseline,
+  writeBaseline,
+  compareToBaseline,
+  buildReport,
+  markdownReport,
+  writeReports
+} = require("./lib/gas");
+
+function parseArgs(argv) {
+  const args = {
+    threshold: DEFAULT_THRESHOLD_PCT,
+    baseline: BASELINE_FILE,
+    out: REPORT_DIR,
+    managers: DEFAULT_MANAGER_COUNTS,
+    updateBaseline: false,
+    json: false
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === "--threshold") args.threshold = Number(argv[++i]);
+    else if (argv[i] === "--baseline") args.baseline = path.resolve(argv[++i]);
+    else if (argv[i] === "--out") args.out = path.resolve(argv[++i]);
+    else if (argv[i] === "--managers") args.managers = argv[++i].split(",").map(Number);
+    else if (argv[i] === "--update-baseline") args.updateBaseline = true;
+    else if (argv[i] === "--json") args.json = true;
+  }
+  if (!Number.isFinite(args.threshold) || args.threshold < 0) throw new Error("--threshold must be a non-negative percentage.");
+  if (!args.managers.length || args.managers.some((n) => !Number.isInteger(n) || n < 1)) {
+    throw new Error("--managers must be a comma-separated list of positive integers, e.g. 1,10,50.");
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const rows = await measureGas({ managerCounts: args.managers });
+
+  if (args.updateBaseline) {
+    const file = writeBaseline(rows, args.baseline);
+    console.log(`Baseline with ${rows.length} operations written to ${path.relative(process.cwd(), file)}.`);
+  }
+
+  const report = buildReport(compareToBaseline(rows, readBaseline(args.baseline), args.threshold));
+  const files = writeReports(report, args.out);
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    process.stdout.write(markdownReport(report));
+    console.log(`\nReports written to ${path.relative(process.cwd(), files.json)} and ${path.relative(process.cwd(), files.markdown)}.`);
+  }
+  return report.regressions === 0;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
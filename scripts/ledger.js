@@ -0,0 +1,83 @@
+require("./lib/chain");
+const fs = require("node:fs");
+const { namedActors } = require("./lib/stack");
+const { deployStack, manifestPath, readManifest, attachStack } = require("./lib/deploy");
+const { loadScenario, runScenario } = require("./lib/scenario");
+const { reconcile, historyCsv } = require("./lib/ledger");
+
+function parseArgs(argv) {
+  const args = {
+    manifest: manifestPath(),
+    scenario: null,
+    fromBlock: undefined,
+    toBlock: undefined,
+    csv: null,
+    out: null,
+    json: false
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === "--manifest") args.manifest = argv[++i];
+    else if (argv[i] === "--scenario") args.scenario = argv[++i];
+    else if (argv[i] === "--from-block") args.fromBlock = Number(argv[++i]);
+    else if (argv[i] === "--to-block") args.toBlock = Number(argv[++i]);
+    else if (argv[i] === "--csv") args.csv = argv[++i];
+    else if (argv[i] === "--out") args.out = argv[++i];
+    else if (argv[i] === "--json") args.json = true;
+  }
+  return args;
+}
+
+// With --scenario the ledger is built on a fresh stack that just replayed the scenario, which is how
+// it runs on the in-process network; otherwise it attaches to the manifest's deployment.
+async function loadStack(args) {
+  const actors = await namedActors();
+  if (!args.scenario) return attachStack(actors, readManifest(args.manifest));
+
+  const c = await deployStack(actors);
+  await runScenario(c, loadScenario(args.scenario, { allowFiles: true }), () => {});
+  return c;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const c = await loadStack(args);
+  const report = await reconcile(c, { fromBlock: args.fromBlock, toBlock: args.toBlock });
+
+  if (args.csv) fs.writeFileSync(args.csv, historyCsv(report));
+  if (args.out) fs.writeFileSync(args.out, `${JSON.stringify(report, null, 2)}\n`);
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report.reconciled;
+  }
+
+  console.log(`== Ledger for ${c.vault.target}, blocks ${report.fromBlock}-${report.toBlock} ==`);
+  console.table(
+    report.accounts.map((row) => ({
+      account: row.name,
+      shares: row.shares,
+      queued: row.queued,
+      deposited: row.deposited,
+      realized: row.realized,
+      received: row.received,
+      managerCalls: row.managerCalls
+    }))
+  );
+  console.log(`${report.history.length} history row(s) in range.`);
+  if (args.csv) console.log(`History CSV written to ${args.csv}`);
+  if (args.out) console.log(`JSON report written to ${args.out}`);
+
+  if (report.reconciled) {
+    console.log("Reconciled: every balance, queue and request matches on-chain state.");
+    return true;
+  }
+  console.log(`${report.mismatches.length} mismatch(es) against on-chain state:`);
+  console.table(report.mismatches);
+  return false;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,67 @@
+// Standalone scripts run under plain node, where an RPC_URL selects the `rpc` network. Hardhat reads
+// HARDHAT_NETWORK once when it loads, so entry points require this module before anything else.
+if (process.env.RPC_URL && !process.env.HARDHAT_NETWORK) {
+  process.env.HARDHAT_NETWORK = "rpc";
+}
+
+const { network } = require("hardhat");
+const { UnsupportedError } = require("./errors");
+
+const CAPABILITY_METHODS = {
+  reset: "hardhat_reset",
+  timeTravel: "evm_increaseTime/evm_mine",
+  snapshots: "evm_snapshot/evm_revert"
+};
+
+function isExternal() {
+  return network.name !== "hardhat";
+}
+
+function networkInfo() {
+  return {
+    name: network.name,
+    external: isExternal(),
+    rpcUrl: isExternal() ? network.config.url || null : null
+  };
+}
+
+async function trySend(method, params = []) {
+  try {
+    return { ok: true, result: await network.provider.send(method, params) };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+// Probes only use calls that leave the chain unchanged: a snapshot that is reverted straight away,
+// a zero-second time increase, and hardhat_metadata as a stand-in for the other hardhat_* methods.
+async function probeCapabilities() {
+  if (!isExternal()) {
+    return { reset: true, timeTravel: true, snapshots: true };
+  }
+
+  const chainId = await trySend("eth_chainId");
+  if (!chainId.ok) {
+    throw new UnsupportedError(`Cannot reach the JSON-RPC node at ${network.config.url}: ${chainId.error.message}`);
+  }
+
+  const snapshot = await trySend("evm_snapshot");
+  const snapshots = snapshot.ok && (await trySend("evm_revert", [snapshot.result])).ok;
+  const timeTravel = (await trySend("evm_increaseTime", [0])).ok;
+  const reset = (await trySend("hardhat_metadata")).ok;
+  return { reset, timeTravel, snapshots };
+}
+
+function requireCapability(capabilities, name, action) {
+  if (capabilities[name]) return;
+  const where = isExternal() ? `the node at ${network.config.url}` : "this network";
+  throw new UnsupportedError(`${action} is disabled: ${where} does not support ${CAPABILITY_METHODS[name]}.`);
+}
+
+module.exports = {
+  CAPABILITY_METHODS,
+  isExternal,
+  networkInfo,
+  probeCapabilities,
+  requireCapability
+};
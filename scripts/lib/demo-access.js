@@ -0,0 +1,128 @@
+const crypto = require("node:crypto");
+const { ethers } = require("hardhat");
+const { UnauthorizedError, ForbiddenError } = require("./errors");
+
+// The only mutating routes a participant may call: a user's own deposits, withdrawals and faucet.
+// Every other POST (reset, attach, time travel, bookmarks, scenarios, authority, manager and owner
+// routes) is presenter-only, so a route added later is locked down until it is listed here.
+const PARTICIPANT_ROUTES = new Set([
+  "POST /api/fund",
+  "POST /api/deposit",
+  "POST /api/request-withdraw",
+  "POST /api/claim-early",
+  "POST /api/claim-withdraw",
+  "POST /api/cancel-withdraw",
+  "POST /api/settlement-receiver"
+]);
+// Actors that own the stack or hold the manager role; participants may not act or sign as them.
+const PRESENTER_ACTORS = ["deployer", "manager"];
+const RPC_SEND_METHODS = new Set(["eth_sendTransaction", "eth_sendRawTransaction"]);
+
+function digest(token) {
+  return crypto.createHash("sha256").update(String(token)).digest();
+}
+
+function sameToken(given, expected) {
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function bearerToken(headers) {
+  const header = headers.authorization;
+  if (!header) return null;
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) throw new UnauthorizedError("Authorization header must be 'Bearer <token>'.");
+  return match[1];
+}
+
+function requiredRole(routeKey) {
+  if (routeKey.startsWith("GET ")) return null;
+  return PARTICIPANT_ROUTES.has(routeKey) ? "participant" : "presenter";
+}
+
+// Without a presenter token the server stays open: every visitor is the presenter, as before.
+// A participant token is optional; without one, visitors without credentials are participants.
+function createAccessControl(options = {}) {
+  const presenterToken = options.presenterToken || null;
+  const participantToken = options.participantToken || null;
+  if (participantToken && !presenterToken) {
+    throw new Error("PARTICIPANT_TOKEN needs PRESENTER_TOKEN as well.");
+  }
+  if (participantToken && participantToken === presenterToken) {
+    throw new Error("PARTICIPANT_TOKEN must differ from PRESENTER_TOKEN.");
+  }
+  const mode = presenterToken ? "token" : "open";
+
+  function sessionOf(headers) {
+    if (!presenterToken) return { role: "presenter", authenticated: false };
+    const token = bearerToken(headers);
+    if (token === null) return { role: participantToken ? null : "participant", authenticated: false };
+    if (sameToken(token, presenterToken)) return { role: "presenter", authenticated: true };
+    if (participantToken && sameToken(token, participantToken)) return { role: "participant", authenticated: true };
+    throw new UnauthorizedError("Invalid access token.");
+  }
+
+  function allows(session, routeKey) {
+    const needed = requiredRole(routeKey);
+    if (!needed || session.role === "presenter") return true;
+    return needed === "participant" && session.role === "participant";
+  }
+
+  // Missing or unrecognised credentials are 401; a participant token on a presenter route is 403.
+  function deny(session, what) {
+    if (!session.authenticated) {
+      const token = session.role === null && participantToken ? "a participant or presenter token" : "the presenter token";
+      throw new UnauthorizedError(`${what} needs ${token}.`);
+    }
+    throw new ForbiddenError(`${what} is presenter-only; participants may run user actions only.`);
+  }
+
+  function authorize(session, routeKey, body = {}) {
+    if (!allows(session, routeKey)) deny(session, routeKey);
+    if (requiredRole(routeKey) && session.role !== "presenter" && PRESENTER_ACTORS.includes(body.actor)) {
+      deny(session, `Acting as '${body.actor}'`);
+    }
+  }
+
+  // Wallet sends through /rpc are user actions too: participants may not sign as a presenter actor,
+  // nor as any address holding the manager role, which could run managerCall against the vault. A
+  // send without `from` is refused as well, since the node would fill in its first account (the
+  // deployer) and sign with it. `isManager(address)` reads the role from chain.
+  async function authorizeRpc(session, call, { presenterAddresses = [], isManager = async () => false } = {}) {
+    if (!RPC_SEND_METHODS.has(call.method) || session.role === "presenter") return;
+    if (session.role === null) deny(session, `${call.method} through /rpc`);
+
+    const params = Array.isArray(call.params) ? call.params : [];
+    let from;
+    try {
+      from = call.method === "eth_sendRawTransaction" ? ethers.Transaction.from(params[0]).from : params[0] && params[0].from;
+    } catch (_) {
+      return; // malformed raw transactions are left for the node to reject
+    }
+    if (!from) throw new ForbiddenError(`${call.method} through /rpc needs an explicit 'from' address.`);
+    if (presenterAddresses.some((address) => address.toLowerCase() === String(from).toLowerCase())) {
+      deny(session, `Sending from ${from}`);
+    }
+    if (ethers.isAddress(from) && (await isManager(ethers.getAddress(from)))) {
+      deny(session, `Sending from manager ${from}`);
+    }
+  }
+
+  function describe(session, routeKeys) {
+    return {
+      mode,
+      role: session.role,
+      authenticated: session.authenticated,
+      participantTokenRequired: Boolean(participantToken),
+      allowedRoutes: routeKeys.filter((routeKey) => !routeKey.startsWith("GET ") && allows(session, routeKey))
+    };
+  }
+
+  return { mode, sessionOf, authorize, authorizeRpc, describe };
+}
+
+module.exports = {
+  PARTICIPANT_ROUTES,
+  PRESENTER_ACTORS,
+  requiredRole,
+  createAccessControl
+};
@@ -0,0 +1,202 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { ethers, network } = require("hardhat");
+const { InputError, NotFoundError, StateError } = require("./errors");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+const DEFAULT_CONFIG = {
+  shareName: "Veda USDe Vault Share",
+  shareSymbol: "vUSDe",
+  mocks: {
+    usde: true,
+    authority: true,
+    strategy: true
+  },
+  asset: null,
+  authority: null,
+  fees: null,
+  mints: []
+};
+
+const CONTRACT_TYPES = {
+  usde: "MockUSDe",
+  authority: "SimpleManagerAuthority",
+  registry: "ManagerRegistry",
+  vault: "USDeBoringVault",
+  teller: "TellerWith3DayQueue",
+  strategy: "MockStrategyTarget"
+};
+
+function resolveConfig(config = {}) {
+  const resolved = {
+    ...DEFAULT_CONFIG,
+    ...config,
+    mocks: { ...DEFAULT_CONFIG.mocks, ...(config.mocks || {}) },
+    mints: config.mints || []
+  };
+
+  if (!resolved.mocks.usde && !resolved.asset) {
+    throw new InputError("Config must set 'asset' when the MockUSDe mock is disabled.", "asset");
+  }
+  if (!resolved.mocks.authority && !resolved.authority) {
+    throw new InputError("Config must set 'authority' when the SimpleManagerAuthority mock is disabled.", "authority");
+  }
+  if (!resolved.mocks.usde && resolved.mints.length) {
+    throw new InputError("Initial mints require the MockUSDe mock.", "mints");
+  }
+  return resolved;
+}
+
+function loadDeployConfig(file) {
+  if (!file || !fs.existsSync(file)) return resolveConfig();
+  return resolveConfig(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+function actorOrAddress(actors, to, field) {
+  if (actors[to]) return actors[to].address;
+  if (ethers.isAddress(to)) return to;
+  throw new InputError(`${field}: '${to}' is neither an actor name nor an address.`, field);
+}
+
+async function deployContract(deployer, deployed, key, args) {
+  const factory = await ethers.getContractFactory(CONTRACT_TYPES[key], deployer);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  deployed[key] = { contract: CONTRACT_TYPES[key], address: contract.target, args };
+  return contract;
+}
+
+async function deployStack(actors, config = {}) {
+  const settings = resolveConfig(config);
+  const { deployer } = actors;
+  const deployed = {};
+  const startBlock = await ethers.provider.getBlockNumber();
+
+  const usde = settings.mocks.usde
+    ? await deployContract(deployer, deployed, "usde", [deployer.address])
+    : await ethers.getContractAt("IERC20", settings.asset);
+
+  const authority = settings.mocks.authority
+    ? await deployContract(deployer, deployed, "authority", [deployer.address])
+    : await ethers.getContractAt("IManagerAuthority", settings.authority);
+
+  const registry = await deployContract(deployer, deployed, "registry", [deployer.address, authority.target]);
+  const vault = await deployContract(deployer, deployed, "vault", [
+    deployer.address,
+    usde.target,
+    registry.target,
+    settings.shareName,
+    settings.shareSymbol
+  ]);
+
+  const teller = await deployContract(deployer, deployed, "teller", [deployer.address, vault.target]);
+  await (await vault.setTeller(teller.target)).wait();
+
+  const strategy = settings.mocks.strategy ? await deployContract(deployer, deployed, "strategy", []) : null;
+
+  if (settings.fees) {
+    const { recipient, managementBps = 0, performanceBps = 0 } = settings.fees;
+    await (await vault.setFeeRecipient(actorOrAddress(actors, recipient, "fees"))).wait();
+    await (await vault.setFees(managementBps, performanceBps)).wait();
+  }
+
+  for (const mint of settings.mints) {
+    await (await usde.mint(actorOrAddress(actors, mint.to, "mints"), ethers.parseUnits(String(mint.amount), 18))).wait();
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = {
+    network: network.name,
+    chainId: Number(chainId),
+    startBlock,
+    deployedAt: new Date().toISOString(),
+    deployer: deployer.address,
+    config: settings,
+    contracts: deployed
+  };
+
+  return {
+    actors,
+    usde,
+    authority,
+    registry,
+    vault,
+    teller,
+    strategy,
+    manifest
+  };
+}
+
+function manifestPath(networkName = network.name, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${networkName}.json`);
+}
+
+function writeManifest(manifest, file = manifestPath(manifest.network)) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return file;
+}
+
+function readManifest(file = manifestPath()) {
+  if (!fs.existsSync(file)) throw new NotFoundError(`Deployment manifest not found: ${file}`);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (_) {
+    throw new InputError(`Deployment manifest ${path.basename(file)} is not valid JSON.`, "manifest");
+  }
+  if (!manifest || typeof manifest.contracts !== "object" || manifest.contracts === null) {
+    throw new InputError(`Deployment manifest ${path.basename(file)} has no contracts.`, "manifest");
+  }
+  return manifest;
+}
+
+// Event scans start at the block the stack was deployed in; manifests from older runs omit it.
+function startBlockOf(c) {
+  return (c.manifest && c.manifest.startBlock) || 0;
+}
+
+// The mocks are optional (see `mocks` in the config, or a manifest without their entries): routes
+// and steps that mint USDe, grant managers or call the strategy check for them first.
+function requireMock(c, key, action) {
+  if (c.manifest.contracts[key]) return;
+  throw new StateError(`${action} needs the ${CONTRACT_TYPES[key]} mock, which this deployment does not include.`);
+}
+
+async function attachStack(actors, manifest) {
+  const { chainId } = await ethers.provider.getNetwork();
+  if (Number(chainId) !== manifest.chainId) {
+    throw new InputError(`Manifest is for chain ${manifest.chainId}, connected to chain ${chainId}.`, "manifest");
+  }
+
+  const c = { actors, manifest, strategy: null };
+  for (const key of Object.keys(CONTRACT_TYPES)) {
+    const entry = manifest.contracts[key];
+    if (!entry) continue;
+    if ((await ethers.provider.getCode(entry.address)) === "0x") {
+      throw new NotFoundError(`No ${entry.contract} code at ${entry.address}; the manifest is stale for this chain.`);
+    }
+    c[key] = await ethers.getContractAt(entry.contract, entry.address);
+  }
+
+  const vault = c.vault;
+  if (!vault) throw new InputError("Manifest has no vault entry.", "manifest");
+  c.usde = c.usde || (await ethers.getContractAt("IERC20", await vault.asset()));
+  c.authority = c.authority || (await ethers.getContractAt("IManagerAuthority", await c.registry.authority()));
+  return c;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  DEFAULT_CONFIG,
+  resolveConfig,
+  loadDeployConfig,
+  deployStack,
+  manifestPath,
+  writeManifest,
+  readManifest,
+  startBlockOf,
+  requireMock,
+  attachStack
+};
@@ -0,0 +1,157 @@
+const { ethers, artifacts } = require("hardhat");
+
+const DECODED_CONTRACTS = ["USDeBoringVault", "TellerWith3DayQueue", "ManagerRegistry", "MockUSDe", "SimpleManagerAuthority"];
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+// `errors` lists every invalid field as { field, message } when more than one was checked at once.
+class InputError extends Error {
+  constructor(message, field, errors) {
+    super(message);
+    this.name = "InputError";
+    this.field = field;
+    if (errors) this.errors = errors;
+  }
+}
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NotFoundError";
+  }
+}
+
+class StateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StateError";
+  }
+}
+
+class UnsupportedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsupportedError";
+  }
+}
+
+class UnauthorizedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnauthorizedError";
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ForbiddenError";
+  }
+}
+
+let errorIndex = null;
+
+function buildErrorIndex() {
+  const index = new Map();
+  for (const contractName of DECODED_CONTRACTS) {
+    const iface = new ethers.Interface(artifacts.readArtifactSync(contractName).abi);
+    iface.forEachError((fragment) => {
+      const entry = index.get(fragment.selector) || { fragment, iface, contracts: [] };
+      entry.contracts.push(contractName);
+      index.set(fragment.selector, entry);
+    });
+  }
+  return index;
+}
+
+function revertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 5) return null;
+  if (typeof error.data === "string" && /^0x[0-9a-fA-F]*$/.test(error.data) && error.data.length >= 10) {
+    return error.data;
+  }
+  if (error.data && typeof error.data === "object") {
+    const nested = revertData(error.data, depth + 1);
+    if (nested) return nested;
+  }
+  return revertData(error.error, depth + 1) || revertData(error.info && error.info.error, depth + 1) || revertData(error.cause, depth + 1);
+}
+
+function plainArgs(fragment, args) {
+  return Object.fromEntries(
+    fragment.inputs.map((input, i) => [input.name || `arg${i}`, typeof args[i] === "bigint" ? args[i].toString() : args[i]])
+  );
+}
+
+function decodeRevert(error) {
+  const data = revertData(error);
+  if (!data) return null;
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = `0x${data.slice(10)}`;
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = coder.decode(["string"], payload);
+    return { name: "Error", signature: "Error(string)", args: { reason }, contracts: [], data };
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [code] = coder.decode(["uint256"], payload);
+    return { name: "Panic", signature: "Panic(uint256)", args: { code: code.toString() }, contracts: [], data };
+  }
+
+  errorIndex = errorIndex || buildErrorIndex();
+  const entry = errorIndex.get(selector);
+  if (!entry) {
+    return { name: "UnknownError", signature: null, args: {}, contracts: [], data };
+  }
+
+  const parsed = entry.iface.parseError(data);
+  const revert = {
+    name: entry.fragment.name,
+    signature: entry.fragment.format("sighash"),
+    args: plainArgs(entry.fragment, parsed.args),
+    contracts: entry.contracts,
+    data
+  };
+  // Errors that wrap another call's revert (BatchCallFailed) carry it as `bytes reason`.
+  const reasonIndex = entry.fragment.inputs.findIndex((input) => input.name === "reason" && input.type === "bytes");
+  if (reasonIndex >= 0) revert.inner = decodeRevert({ data: parsed.args[reasonIndex] });
+  return revert;
+}
+
+function isRevert(error) {
+  return Boolean(revertData(error)) || error.code === "CALL_EXCEPTION" || /revert/i.test(error.message || "");
+}
+
+function describeRevert(revert) {
+  if (!revert) return "reverted without data";
+  if (revert.inner !== undefined) {
+    const args = Object.entries(revert.args)
+      .filter(([key]) => key !== "reason")
+      .map(([key, value]) => `${key}=${value}`);
+    return `reverted with ${revert.name}(${args.join(", ")}): inner call ${describeRevert(revert.inner)}`;
+  }
+  const args = Object.entries(revert.args).map(([key, value]) => `${key}=${value}`);
+  return `reverted with ${revert.name}(${args.join(", ")})`;
+}
+
+function expectedRevertMatches(expected, revert) {
+  if (expected === true) return true;
+  if (!revert) return false;
+  if (typeof expected === "string") return revert.name === expected;
+  if (expected.name !== revert.name) return false;
+  return Object.entries(expected.args || {}).every(([key, value]) => String(revert.args[key]) === String(value));
+}
+
+module.exports = {
+  InputError,
+  NotFoundError,
+  StateError,
+  UnsupportedError,
+  UnauthorizedError,
+  ForbiddenError,
+  decodeRevert,
+  describeRevert,
+  isRevert,
+  expectedRevertMatches
+};
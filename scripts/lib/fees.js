@@ -0,0 +1,119 @@
+const { ethers } = require("hardhat");
+const { format, addressName, resolveAddress } = require("./stack");
+const { InputError } = require("./errors");
+const { startBlockOf } = require("./deploy");
+
+const PERIODS = {
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60,
+  month: 30 * 24 * 60 * 60,
+  year: 365 * 24 * 60 * 60
+};
+
+function periodSeconds(period = "day") {
+  if (PERIODS[period]) return PERIODS[period];
+  const seconds = Number(period);
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    throw new InputError(`period must be one of ${Object.keys(PERIODS).join(", ")} or a number of seconds.`, "period");
+  }
+  return seconds;
+}
+
+function bpsFrom(value, field) {
+  const bps = Number(value ?? 0);
+  if (!Number.isInteger(bps) || bps < 0) throw new InputError(`${field} must be a whole number of basis points.`, field);
+  return bps;
+}
+
+async function feeStatus(c) {
+  const { vault } = c;
+  const recipient = await vault.feeRecipient();
+  const [management, performance, shares] = await vault.previewFees();
+  return {
+    recipient: recipient === ethers.ZeroAddress ? null : addressName(c, recipient),
+    managementBps: Number(await vault.managementFeeBps()),
+    performanceBps: Number(await vault.performanceFeeBps()),
+    highWaterMark: format(await vault.highWaterMark()),
+    lastAccrual: Number(await vault.lastFeeAccrual()),
+    recipientShares: recipient === ethers.ZeroAddress ? "0.0" : format(await vault.balanceOf(recipient)),
+    pending: { management: format(management), performance: format(performance), shares: format(shares) }
+  };
+}
+
+// Fee recipient and rates are set by the vault owner; the deployer in every script.
+async function configureFees(c, settings, owner = c.actors.deployer) {
+  const vault = c.vault.connect(owner);
+  const setRates = settings.managementBps !== undefined || settings.performanceBps !== undefined;
+  const recipient =
+    settings.recipient === undefined || settings.recipient === null ? settings.recipient : resolveAddress(c, settings.recipient);
+  const managementBps = setRates ? bpsFrom(settings.managementBps ?? (await c.vault.managementFeeBps()), "managementBps") : 0;
+  const performanceBps = setRates ? bpsFrom(settings.performanceBps ?? (await c.vault.performanceFeeBps()), "performanceBps") : 0;
+  if (recipient === undefined && !setRates) {
+    throw new InputError("Nothing to change: pass recipient, managementBps or performanceBps.", "fees");
+  }
+
+  const applied = [];
+  if (recipient !== undefined) {
+    await (await vault.setFeeRecipient(recipient || ethers.ZeroAddress)).wait();
+    applied.push(recipient ? `fee recipient ${addressName(c, recipient)}` : "fees switched off");
+  }
+  if (setRates) {
+    await (await vault.setFees(managementBps, performanceBps)).wait();
+    applied.push(`management ${managementBps} bps/year, performance ${performanceBps} bps`);
+  }
+  return applied;
+}
+
+// Buckets FeesAccrued events by block time into fixed periods aligned to the Unix epoch (UTC days for "day").
+async function feeReport(c, options = {}) {
+  const seconds = periodSeconds(options.period);
+  const fromBlock = options.fromBlock ?? startBlockOf(c);
+  const toBlock = options.toBlock ?? "latest";
+  const logs = await c.vault.queryFilter(c.vault.filters.FeesAccrued(), fromBlock, toBlock);
+
+  const buckets = new Map();
+  const totals = { management: 0n, performance: 0n, shares: 0n };
+  for (const log of logs) {
+    const { timestamp } = await log.getBlock();
+    const start = Math.floor(timestamp / seconds) * seconds;
+    const bucket = buckets.get(start) || { start, management: 0n, performance: 0n, shares: 0n, accruals: 0 };
+    bucket.management += log.args.managementAssets;
+    bucket.performance += log.args.performanceAssets;
+    bucket.shares += log.args.shares;
+    bucket.accruals += 1;
+    buckets.set(start, bucket);
+    totals.management += log.args.managementAssets;
+    totals.performance += log.args.performanceAssets;
+    totals.shares += log.args.shares;
+  }
+
+  const plain = (row) => ({
+    management: format(row.management),
+    performance: format(row.performance),
+    total: format(row.management + row.performance),
+    shares: format(row.shares)
+  });
+  return {
+    period: options.period || "day",
+    periodSeconds: seconds,
+    fromBlock,
+    toBlock,
+    periods: [...buckets.values()]
+      .sort((a, b) => a.start - b.start)
+      .map((row) => ({
+        start: new Date(row.start * 1000).toISOString(),
+        end: new Date((row.start + seconds) * 1000).toISOString(),
+        accruals: row.accruals,
+        ...plain(row)
+      })),
+    totals: plain(totals),
+    status: await feeStatus(c)
+  };
+}
+
+module.exports = {
+  PERIODS,
+  feeStatus,
+  configureFees,
+  feeReport
+};
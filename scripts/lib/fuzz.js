@@ -0,0 +1,385 @@
+const { ethers, network } = require("hardhat");
+const { namedActors, format, resolveAddress } = require("./stack");
+const { deployStack } = require("./deploy");
+const { encodeCall } = require("./manager-call");
+const { isRevert, decodeRevert, describeRevert } = require("./errors");
+
+const DAY = 24 * 60 * 60;
+const FUZZ_ACTORS = ["alice", "bob", "carol", "dave"];
+const TIME_JUMPS = [1, 60 * 60, DAY, 3 * DAY - 2, 3 * DAY];
+
+const INVARIANTS = {
+  supply: "totalSupply equals the sum of balances",
+  queue: "teller-held shares equal the sum of unhandled request shares",
+  maturity: "no claim succeeds before unlockTimestamp",
+  handledOnce: "a request is never handled twice"
+};
+
+// Weights of each action in a generated sequence.
+const ACTION_WEIGHTS = {
+  deposit: 4,
+  transfer: 2,
+  requestWithdraw: 4,
+  cancelWithdraw: 2,
+  claimWithdraw: 3,
+  redeem: 2,
+  managerTransfer: 1,
+  yield: 1,
+  timeJump: 3
+};
+
+// mulberry32: small, seedable and good enough to spread amounts across magnitudes.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (n) => Math.floor(next() * n);
+  const pick = (items) => items[int(items.length)];
+  // Amounts from 1 wei up to `max`, log-uniform so dust and whole tokens both show up.
+  const amount = (max) => {
+    const scale = 10n ** BigInt(int(max.toString().length));
+    const value = (BigInt(int(1e9)) * scale) / 1_000_000_000n + BigInt(int(1000));
+    return value % max === 0n ? 1n : value % max;
+  };
+  return { next, int, pick, amount };
+}
+
+// Actions hold fractions and picks rather than absolute amounts and ids, so a sequence still means
+// something when the shrinker drops steps in front of it.
+function generateAction(rng) {
+  const total = Object.values(ACTION_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+  let roll = rng.int(total);
+  const type = Object.keys(ACTION_WEIGHTS).find((name) => (roll -= ACTION_WEIGHTS[name]) < 0);
+  const actor = rng.pick(FUZZ_ACTORS);
+  const permille = 1 + rng.int(1000);
+
+  switch (type) {
+    case "transfer":
+      return { type, actor, to: rng.pick(FUZZ_ACTORS.filter((name) => name !== actor)), permille };
+    case "cancelWithdraw":
+    case "claimWithdraw":
+      return { type, actor, pick: rng.int(1000) };
+    case "managerTransfer":
+    case "yield":
+      return { type, permille: 1 + rng.int(100) };
+    case "timeJump":
+      return { type, seconds: rng.next() < 0.5 ? rng.pick(TIME_JUMPS) : 1 + rng.int(4 * DAY) };
+    default:
+      return { type, actor, permille };
+  }
+}
+
+function generateSequence(seed, length) {
+  const rng = createRandom(seed);
+  return Array.from({ length }, () => generateAction(rng));
+}
+
+function describeAction(action) {
+  const pct = (permille) => `${permille / 10}%`;
+  switch (action.type) {
+    case "deposit":
+      return `${action.actor} deposits ${pct(action.permille)} of their USDe`;
+    case "transfer":
+      return `${action.actor} transfers ${pct(action.permille)} of their shares to ${action.to}`;
+    case "requestWithdraw":
+      return `${action.actor} queues ${pct(action.permille)} of their shares`;
+    case "cancelWithdraw":
+    case "claimWithdraw":
+      return `${action.actor} ${action.type === "claimWithdraw" ? "claims" : "cancels"} request pick ${action.pick}`;
+    case "redeem":
+      return `${action.actor} redeems ${pct(action.permille)} of their queued shares`;
+    case "managerTransfer":
+      return `manager moves ${pct(action.permille)} of vault USDe to receiver`;
+    case "yield":
+      return `strategy yields ${pct(action.permille)} of vault USDe`;
+    case "timeJump":
+      return `time advances ${action.seconds}s`;
+    default:
+      return JSON.stringify(action);
+  }
+}
+
+async function createHarness() {
+  const actors = await namedActors();
+  const c = await deployStack(actors, {
+    mints: FUZZ_ACTORS.map((to) => ({ to, amount: "10000" })),
+    fees: { recipient: "erin", managementBps: 200, performanceBps: 1000 }
+  });
+  await (await c.authority.setManager(actors.manager.address, true)).wait();
+  for (const name of FUZZ_ACTORS) {
+    await (await c.usde.connect(actors[name]).approve(c.teller.target, ethers.MaxUint256)).wait();
+    await (await c.vault.connect(actors[name]).approve(c.teller.target, ethers.MaxUint256)).wait();
+  }
+
+  const latest = await ethers.provider.getBlock("latest");
+  return { c, clock: latest.timestamp, snapshot: await network.provider.send("evm_snapshot") };
+}
+
+// evm_revert consumes the snapshot, so take a fresh one for the next replay.
+async function resetHarness(h) {
+  await network.provider.send("evm_revert", [h.snapshot]);
+  h.snapshot = await network.provider.send("evm_snapshot");
+}
+
+// Every block gets an explicit timestamp so a replay lands on exactly the same times as the original.
+async function send(model, submit) {
+  model.clock += 1;
+  await network.provider.send("evm_setNextBlockTimestamp", [model.clock]);
+  return (await submit()).wait();
+}
+
+function requestsOf(model, owner) {
+  return [...model.requests.entries()].filter(([, request]) => request.owner === owner).map(([id]) => id);
+}
+
+async function executeAction(c, model, action) {
+  const signer = action.actor ? c.actors[action.actor] : null;
+  const share = (amount, permille) => (amount * BigInt(permille)) / 1000n;
+  let submit;
+
+  switch (action.type) {
+    case "deposit": {
+      const assets = share(await c.usde.balanceOf(signer.address), action.permille);
+      submit = () => c.teller.connect(signer).deposit(assets, signer.address);
+      break;
+    }
+    case "transfer": {
+      const shares = share(await c.vault.balanceOf(signer.address), action.permille);
+      submit = () => c.vault.connect(signer).transfer(resolveAddress(c, action.to), shares);
+      break;
+    }
+    case "requestWithdraw": {
+      const shares = share(await c.vault.balanceOf(signer.address), action.permille);
+      submit = () => c.teller.connect(signer).requestWithdraw(shares);
+      break;
+    }
+    case "cancelWithdraw":
+    case "claimWithdraw": {
+      // Handled requests stay pickable so the fuzzer keeps trying to handle them again.
+      const ids = requestsOf(model, signer.address);
+      if (!ids.length) return { status: "skipped" };
+      const requestId = ids[action.pick % ids.length];
+      submit =
+        action.type === "claimWithdraw"
+          ? () => c.teller.connect(signer).claimWithdraw(requestId, signer.address)
+          : () => c.teller.connect(signer).cancelWithdraw(requestId);
+      break;
+    }
+    case "redeem": {
+      // A share of everything still queued, matured or not, so immature shares get asked for too.
+      let queued = 0n;
+      for (const id of requestsOf(model, signer.address)) {
+        const request = await c.teller.withdrawRequests(id);
+        if (!request.handled) queued += request.shares;
+      }
+      const shares = share(queued, action.permille);
+      submit = () => c.teller.connect(signer).redeem(shares, signer.address, signer.address);
+      break;
+    }
+    case "managerTransfer": {
+      const amount = share(await c.vault.totalAssets(), action.permille);
+      const call = encodeCall(c, "transfer(address,uint256)", [c.actors.receiver.address, amount]);
+      submit = () => c.vault.connect(c.actors.manager).managerCall(c.usde.target, 0n, call.data);
+      break;
+    }
+    case "yield": {
+      const amount = share(await c.vault.totalAssets(), action.permille) + 1n;
+      submit = () => c.usde.connect(c.actors.deployer).mint(c.vault.target, amount);
+      break;
+    }
+    case "timeJump":
+      model.clock += action.seconds;
+      await network.provider.send("evm_setNextBlockTimestamp", [model.clock]);
+      await network.provider.send("evm_mine");
+      return { status: "ok" };
+    default:
+      throw new Error(`Unknown fuzz action '${action.type}'.`);
+  }
+
+  try {
+    return { status: "ok", receipt: await send(model, submit) };
+  } catch (error) {
+    if (!isRevert(error)) throw error;
+    return { status: "reverted", reason: describeRevert(decodeRevert(error)) };
+  }
+}
+
+function parsedLogs(c, receipt) {
+  if (!receipt) return [];
+  const parsed = [];
+  for (const log of receipt.logs) {
+    const source = log.address === c.teller.target ? c.teller : log.address === c.vault.target ? c.vault : null;
+    const event = source && source.interface.parseLog(log);
+    if (event) parsed.push(event);
+  }
+  return parsed;
+}
+
+// Event-level invariants are checked against the model as it stood before the step, then the model
+// takes in the step's requests, holders and handled flags.
+async function applyEvents(c, model, outcome) {
+  const touched = new Set();
+  for (const event of parsedLogs(c, outcome.receipt)) {
+    if (event.name === "Transfer") {
+      model.holders.add(event.args.from);
+      model.holders.add(event.args.to);
+      continue;
+    }
+    const requestId = event.args.requestId === undefined ? null : Number(event.args.requestId);
+    if (event.name === "WithdrawRequested") {
+      model.requests.set(requestId, { owner: event.args.owner, unlock: Number(event.args.unlockTimestamp), handled: false });
+      continue;
+    }
+    if (event.name !== "WithdrawClaimed" && event.name !== "WithdrawCancelled") continue;
+
+    const request = model.requests.get(requestId);
+    if (request.handled) {
+      return { invariant: "handledOnce", message: `request #${requestId} got ${event.name} after it was already handled` };
+    }
+    if (event.name === "WithdrawClaimed" && model.clock < request.unlock) {
+      return {
+        invariant: "maturity",
+        message: `request #${requestId} was claimed at ${model.clock}, ${request.unlock - model.clock}s before it unlocks`
+      };
+    }
+    touched.add(requestId);
+  }
+
+  for (const requestId of touched) {
+    model.requests.get(requestId).handled = (await c.teller.withdrawRequests(requestId)).handled;
+  }
+  return null;
+}
+
+async function checkState(c, model) {
+  let balances = 0n;
+  for (const holder of model.holders) {
+    if (holder !== ethers.ZeroAddress) balances += await c.vault.balanceOf(holder);
+  }
+  const supply = await c.vault.totalSupply();
+  if (supply !== balances) {
+    return { invariant: "supply", message: `totalSupply ${format(supply)} but balances sum to ${format(balances)}` };
+  }
+
+  let queued = 0n;
+  for (const [requestId, known] of model.requests) {
+    const request = await c.teller.withdrawRequests(requestId);
+    if (known.handled && !request.handled) {
+      return { invariant: "handledOnce", message: `request #${requestId} went from handled back to open` };
+    }
+    if (!request.handled) queued += request.shares;
+  }
+  const held = await c.vault.balanceOf(c.teller.target);
+  if (held !== queued) {
+    return { invariant: "queue", message: `teller holds ${format(held)} shares but open requests total ${format(queued)}` };
+  }
+  return null;
+}
+
+// Replays `sequence` from the harness snapshot and stops at the first broken invariant.
+// `invariants` adds checks of the form { name, check(c, model, action, outcome) -> message | null }.
+async function runSequence(h, sequence, invariants = []) {
+  await resetHarness(h);
+  const { c } = h;
+  const model = {
+    clock: h.clock,
+    requests: new Map(),
+    holders: new Set([...FUZZ_ACTORS.map((name) => c.actors[name].address), c.teller.target])
+  };
+
+  const outcomes = [];
+  for (let i = 0; i < sequence.length; i++) {
+    const outcome = await executeAction(c, model, sequence[i]);
+    outcomes.push(outcome);
+
+    let violation = (await applyEvents(c, model, outcome)) || (await checkState(c, model));
+    for (const extra of invariants) {
+      if (violation) break;
+      const message = await extra.check(c, model, sequence[i], outcome);
+      if (message) violation = { invariant: extra.name, message };
+    }
+    if (violation) return { failedAt: i, violation, outcomes };
+  }
+  return { failedAt: -1, violation: null, outcomes };
+}
+
+// Delta debugging: drop ever smaller chunks while the same invariant still breaks.
+async function shrinkSequence(h, sequence, invariant, invariants = [], maxReplays = 500) {
+  let current = sequence;
+  let replays = 0;
+  let size = Math.ceil(current.length / 2);
+  while (replays < maxReplays) {
+    let removed = false;
+    for (let start = 0; start < current.length && replays < maxReplays; ) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+      replays++;
+      const result = candidate.length ? await runSequence(h, candidate, invariants) : { failedAt: -1 };
+      if (result.failedAt >= 0 && result.violation.invariant === invariant) {
+        current = candidate.slice(0, result.failedAt + 1);
+        removed = true;
+      } else {
+        start += size;
+      }
+    }
+    // Single-step passes repeat until nothing more can go, which makes the result 1-minimal.
+    if (size === 1 && !removed) break;
+    size = Math.ceil(size / 2);
+  }
+  return { sequence: current, replays };
+}
+
+// Runs `runs` random sequences of `steps` actions, seeded from `seed`, `seed + 1`, ... and shrinks the
+// first failing one to a minimal sequence that still breaks the same invariant.
+async function fuzz(options = {}) {
+  const seed = options.seed ?? 1;
+  const runs = options.runs ?? 20;
+  const steps = options.steps ?? 50;
+  const invariants = options.invariants || [];
+  const h = options.harness || (await createHarness());
+
+  const stats = { runs: 0, steps: 0, reverted: 0, skipped: 0 };
+  for (let run = 0; run < runs; run++) {
+    const runSeed = seed + run;
+    const sequence = generateSequence(runSeed, steps);
+    const result = await runSequence(h, sequence, invariants);
+    stats.runs++;
+    stats.steps += result.outcomes.length;
+    stats.reverted += result.outcomes.filter((outcome) => outcome.status === "reverted").length;
+    stats.skipped += result.outcomes.filter((outcome) => outcome.status === "skipped").length;
+    if (typeof options.onRun === "function") options.onRun({ run, seed: runSeed, result });
+
+    if (result.failedAt >= 0) {
+      const failing = sequence.slice(0, result.failedAt + 1);
+      const shrunk = await shrinkSequence(h, failing, result.violation.invariant, invariants, options.maxReplays);
+      const minimal = await runSequence(h, shrunk.sequence, invariants);
+      return {
+        ok: false,
+        seed: runSeed,
+        stats,
+        violation: minimal.violation,
+        originalLength: failing.length,
+        replays: shrunk.replays,
+        sequence: shrunk.sequence,
+        outcomes: minimal.outcomes
+      };
+    }
+  }
+  return { ok: true, seed, stats };
+}
+
+module.exports = {
+  FUZZ_ACTORS,
+  INVARIANTS,
+  createRandom,
+  generateSequence,
+  describeAction,
+  createHarness,
+  runSequence,
+  shrinkSequence,
+  fuzz
+};
@@ -0,0 +1,216 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { ethers, network, config } = require("hardhat");
+const { namedActors, units } = require("./stack");
+const { deployStack } = require("./deploy");
+const { encodeCall } = require("./manager-call");
+
+const ROOT = path.join(__dirname, "..", "..");
+const BASELINE_FILE = path.join(ROOT, "benchmarks", "gas-baseline.json");
+const REPORT_DIR = path.join(ROOT, "reports");
+const DEFAULT_THRESHOLD_PCT = 5;
+const DEFAULT_MANAGER_COUNTS = [1, 10, 50];
+const DAY = 24 * 60 * 60;
+
+async function travel(seconds) {
+  await network.provider.send("evm_increaseTime", [seconds]);
+  await network.provider.send("evm_mine");
+}
+
+async function gasOf(txPromise) {
+  const receipt = await (await txPromise).wait();
+  return Number(receipt.gasUsed);
+}
+
+// Addresses with no code or balance, derived from a label so every run syncs the same ones.
+function managerAddresses(count) {
+  return Array.from({ length: count }, (_, i) => ethers.getAddress(ethers.dataSlice(ethers.id(`gas-manager-${i}`), 12)));
+}
+
+// One fresh stack, with fees on as a production vault would have them, walked through each operation.
+// Ids are stable keys into the baseline, so rename them only together with it.
+async function measureGas(options = {}) {
+  const managerCounts = options.managerCounts || DEFAULT_MANAGER_COUNTS;
+  const actors = await namedActors();
+  const { alice, bob, manager, receiver } = actors;
+  const c = await deployStack(actors, {
+    mints: [
+      { to: "alice", amount: "10000" },
+      { to: "bob", amount: "10000" }
+    ],
+    fees: { recipient: "erin", managementBps: 200, performanceBps: 1000 }
+  });
+  const { usde, vault, teller, registry, authority } = c;
+  for (const signer of [alice, bob]) {
+    await (await usde.connect(signer).approve(teller.target, ethers.MaxUint256)).wait();
+    await (await vault.connect(signer).approve(teller.target, ethers.MaxUint256)).wait();
+  }
+
+  const rows = [];
+  const record = (id, operation, conditions, gasUsed, extra = {}) => rows.push({ id, operation, conditions, gasUsed, ...extra });
+
+  await (await teller.connect(bob).deposit(units(1000), bob.address)).wait();
+  await travel(DAY);
+  record(
+    "deposit.first",
+    "deposit",
+    "first deposit for the receiver, one day of fees to accrue",
+    await gasOf(teller.connect(alice).deposit(units(1000), alice.address))
+  );
+  await travel(DAY);
+  record(
+    "deposit.repeat",
+    "deposit",
+    "receiver already holds shares, one day of fees to accrue",
+    await gasOf(teller.connect(alice).deposit(units(500), alice.address))
+  );
+
+  record(
+    "requestWithdraw.first",
+    "requestWithdraw",
+    "owner's first request",
+    await gasOf(teller.connect(alice).requestWithdraw(units(300)))
+  );
+  record(
+    "requestWithdraw.repeat",
+    "requestWithdraw",
+    "owner's second request",
+    await gasOf(teller.connect(alice).requestWithdraw(units(200)))
+  );
+  record("cancelWithdraw", "cancelWithdraw", "open request returned to its owner", await gasOf(teller.connect(alice).cancelWithdraw(2)));
+
+  await travel(3 * DAY);
+  record(
+    "claimWithdraw",
+    "claimWithdraw",
+    "matured request, three days of fees to accrue",
+    await gasOf(teller.connect(alice).claimWithdraw(1, alice.address))
+  );
+
+  await (await authority.setManager(manager.address, true)).wait();
+  const transfer = encodeCall(c, "transfer(address,uint256)", [receiver.address, units(1)]);
+  await (await vault.connect(manager).managerCall(usde.target, 0n, transfer.data)).wait();
+  record(
+    "managerCall.live",
+    "managerCall",
+    "USDe transfer out of the vault, registry asks the authority",
+    await gasOf(vault.connect(manager).managerCall(usde.target, 0n, transfer.data))
+  );
+  await (await registry.setCacheMode(true)).wait();
+  await (await registry.syncManager(manager.address)).wait();
+  record(
+    "managerCall.cached",
+    "managerCall",
+    "USDe transfer out of the vault, registry answers from its cache",
+    await gasOf(vault.connect(manager).managerCall(usde.target, 0n, transfer.data))
+  );
+
+  let synced = 0;
+  for (const count of managerCounts) {
+    // Each batch uses addresses not synced before, so every entry is a fresh storage write.
+    const addresses = managerAddresses(synced + count).slice(synced);
+    synced += count;
+    for (const address of addresses) await (await authority.setManager(address, true)).wait();
+    const gasUsed = await gasOf(registry.syncManagers(addresses));
+    const conditions = `${count} newly authorized manager${count === 1 ? "" : "s"}`;
+    record(`syncManagers.${count}`, "syncManagers", conditions, gasUsed, { perManager: Math.round(gasUsed / count) });
+  }
+
+  return rows;
+}
+
+function readBaseline(file = BASELINE_FILE) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeBaseline(rows, file = BASELINE_FILE) {
+  const baseline = {
+    generatedAt: new Date().toISOString(),
+    operations: Object.fromEntries(rows.map((row) => [row.id, row.gasUsed]))
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(baseline, null, 2)}\n`);
+  return file;
+}
+
+// A row regresses when it costs more than `thresholdPct` percent over its baseline. Rows without a
+// baseline are "new"; baseline entries no longer measured are listed as "missing".
+function compareToBaseline(rows, baseline, thresholdPct = DEFAULT_THRESHOLD_PCT) {
+  const known = (baseline && baseline.operations) || {};
+  const compared = rows.map((row) => {
+    const before = known[row.id];
+    if (before === undefined) return { ...row, baseline: null, delta: null, deltaPct: null, status: "new" };
+    const delta = row.gasUsed - before;
+    const deltaPct = Number(((delta / before) * 100).toFixed(2));
+    const status = deltaPct > thresholdPct ? "regressed" : deltaPct < -thresholdPct ? "improved" : "ok";
+    return { ...row, baseline: before, delta, deltaPct, status };
+  });
+  const missing = Object.keys(known).filter((id) => !rows.some((row) => row.id === id));
+  return {
+    thresholdPct,
+    operations: compared,
+    missing,
+    regressions: compared.filter((row) => row.status === "regressed").length
+  };
+}
+
+function buildReport(comparison) {
+  const { settings } = config.solidity.compilers[0];
+  return {
+    generatedAt: new Date().toISOString(),
+    network: network.name,
+    solc: config.solidity.compilers[0].version,
+    optimizer: settings.optimizer,
+    ...comparison
+  };
+}
+
+function markdownReport(report) {
+  const signed = (value) => (value > 0 ? `+${value}` : String(value));
+  const lines = [
+    "# Gas Report",
+    "",
+    `Generated ${report.generatedAt} on \`${report.network}\` with solc ${report.solc} ` +
+      `(optimizer ${report.optimizer.enabled ? `on, ${report.optimizer.runs} runs` : "off"}). ` +
+      `Regression threshold: ${report.thresholdPct}%.`,
+    "",
+    "| Operation | Conditions | Gas used | Baseline | Change | Status |",
+    "|---|---|---:|---:|---:|---|"
+  ];
+  for (const row of report.operations) {
+    const perManager = row.perManager ? ` (${row.perManager} per manager)` : "";
+    const change = row.delta === null ? "-" : `${signed(row.delta)} (${signed(row.deltaPct)}%)`;
+    lines.push(
+      `| \`${row.id}\` | ${row.conditions} | ${row.gasUsed}${perManager} | ${row.baseline ?? "-"} | ${change} | ${row.status} |`
+    );
+  }
+  if (report.missing.length) {
+    lines.push("", `Baseline entries not measured any more: ${report.missing.map((id) => `\`${id}\``).join(", ")}.`);
+  }
+  lines.push("", report.regressions ? `**${report.regressions} operation(s) regressed.**` : "No regressions.");
+  return `${lines.join("\n")}\n`;
+}
+
+function writeReports(report, dir = REPORT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const json = path.join(dir, "gas-report.json");
+  const markdown = path.join(dir, "gas-report.md");
+  fs.writeFileSync(json, `${JSON.stringify(report, null, 2)}\n`);
+  fs.writeFileSync(markdown, markdownReport(report));
+  return { json, markdown };
+}
+
+module.exports = {
+  BASELINE_FILE,
+  REPORT_DIR,
+  DEFAULT_THRESHOLD_PCT,
+  DEFAULT_MANAGER_COUNTS,
+  measureGas,
+  readBaseline,
+  writeBaseline,
+  compareToBaseline,
+  buildReport,
+  markdownReport,
+  writeReports
+};
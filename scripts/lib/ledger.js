@@ -0,0 +1,227 @@
+const { ethers } = require("hardhat");
+const { format, addressName } = require("./stack");
+const { InputError } = require("./errors");
+const { startBlockOf } = require("./deploy");
+
+const TELLER_EVENTS = ["Deposited", "WithdrawRequested", "WithdrawCancelled", "WithdrawClaimed"];
+const VAULT_EVENTS = ["Transfer", "ManagerCall"];
+// One row per account an event touches. `assets` is the USDe deposited or paid out, unsigned;
+// share and queue columns are signed changes to that account.
+const CSV_COLUMNS = [
+  "block",
+  "timestamp",
+  "tx",
+  "logIndex",
+  "event",
+  "account",
+  "accountName",
+  "counterparty",
+  "requestId",
+  "sharesDelta",
+  "queuedDelta",
+  "assets"
+];
+
+async function queryEvents(contract, names, fromBlock, toBlock) {
+  const logs = [];
+  for (const name of names) logs.push(...(await contract.queryFilter(contract.filters[name](), fromBlock, toBlock)));
+  return logs;
+}
+
+function emptyAccount(address) {
+  return { address, shares: 0n, queued: 0n, deposited: 0n, realized: 0n, received: 0n, managerCalls: 0 };
+}
+
+// Replays every vault and teller event from the deployment block, so the opening position of a later
+// block range is known, and keeps the history rows that fall inside [fromBlock, toBlock].
+async function buildLedger(c, options = {}) {
+  const startBlock = startBlockOf(c);
+  const toBlock = options.toBlock ?? (await ethers.provider.getBlockNumber());
+  const fromBlock = options.fromBlock ?? startBlock;
+  if (!Number.isInteger(toBlock) || !Number.isInteger(fromBlock) || fromBlock > toBlock) {
+    throw new InputError("The block range must be whole numbers with fromBlock <= toBlock.", "fromBlock");
+  }
+
+  const logs = [
+    ...(await queryEvents(c.teller, TELLER_EVENTS, startBlock, toBlock)),
+    ...(await queryEvents(c.vault, VAULT_EVENTS, startBlock, toBlock))
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const accounts = new Map();
+  const account = (address) => {
+    const key = ethers.getAddress(address);
+    if (!accounts.has(key)) accounts.set(key, emptyAccount(key));
+    return accounts.get(key);
+  };
+  const requests = new Map();
+  const history = [];
+  const timestamps = new Map();
+
+  for (const log of logs) {
+    const { args } = log;
+    const entries = [];
+    const row = (who, fields) => entries.push({ account: ethers.getAddress(who), ...fields });
+
+    switch (log.eventName) {
+      case "Transfer":
+        if (args.from !== ethers.ZeroAddress) {
+          account(args.from).shares -= args.amount;
+          row(args.from, { counterparty: args.to, sharesDelta: -args.amount });
+        }
+        if (args.to !== ethers.ZeroAddress) {
+          account(args.to).shares += args.amount;
+          row(args.to, { counterparty: args.from, sharesDelta: args.amount });
+        }
+        break;
+      case "Deposited":
+        account(args.receiver).deposited += args.assets;
+        row(args.receiver, { counterparty: args.caller, assets: args.assets });
+        break;
+      case "WithdrawRequested":
+        requests.set(Number(args.requestId), { owner: ethers.getAddress(args.owner), open: args.shares, handled: false });
+        account(args.owner).queued += args.shares;
+        row(args.owner, { requestId: Number(args.requestId), queuedDelta: args.shares });
+        break;
+      case "WithdrawCancelled": {
+        const request = requests.get(Number(args.requestId));
+        request.open -= args.shares;
+        request.handled = true;
+        account(args.owner).queued -= args.shares;
+        row(args.owner, { requestId: Number(args.requestId), queuedDelta: -args.shares });
+        break;
+      }
+      case "WithdrawClaimed": {
+        // ERC-7540 redeems can pay a request out in parts; it is handled once nothing is left open.
+        const request = requests.get(Number(args.requestId));
+        request.open -= args.shares;
+        request.handled = request.handled || request.open === 0n;
+        account(args.owner).queued -= args.shares;
+        account(args.owner).realized += args.assets;
+        account(args.receiver).received += args.assets;
+        row(args.owner, {
+          counterparty: args.receiver,
+          requestId: Number(args.requestId),
+          queuedDelta: -args.shares,
+          assets: args.assets
+        });
+        break;
+      }
+      case "ManagerCall":
+        account(args.manager).managerCalls += 1;
+        row(args.manager, { counterparty: args.target });
+        break;
+      default:
+        break;
+    }
+
+    if (log.blockNumber < fromBlock) continue;
+    if (!timestamps.has(log.blockNumber)) timestamps.set(log.blockNumber, (await log.getBlock()).timestamp);
+    for (const entry of entries) {
+      history.push({
+        block: log.blockNumber,
+        timestamp: timestamps.get(log.blockNumber),
+        tx: log.transactionHash,
+        logIndex: log.index,
+        event: log.eventName,
+        ...entry
+      });
+    }
+  }
+
+  return { startBlock, fromBlock, toBlock, accounts, requests, history };
+}
+
+// Compares the replayed ledger with on-chain state at `toBlock`: every account's balanceOf, the total
+// supply, each request's remaining shares and handled flag, and each owner's open queue.
+async function reconcileLedger(c, ledger) {
+  const blockTag = ledger.toBlock;
+  const mismatches = [];
+  const flag = (subject, field, replayed, onChain) => {
+    if (replayed !== onChain) mismatches.push({ subject, field, ledger: replayed, chain: onChain });
+  };
+
+  let supply = 0n;
+  for (const entry of ledger.accounts.values()) {
+    supply += entry.shares;
+    flag(entry.address, "shares", entry.shares, await c.vault.balanceOf(entry.address, { blockTag }));
+  }
+  flag("vault", "totalSupply", supply, await c.vault.totalSupply({ blockTag }));
+
+  const queued = new Map();
+  for (const [requestId, request] of ledger.requests) {
+    const onChain = await c.teller.withdrawRequests(requestId, { blockTag });
+    flag(`request #${requestId}`, "handled", request.handled, onChain.handled);
+    if (!onChain.handled) {
+      flag(`request #${requestId}`, "shares", request.open, onChain.shares);
+      queued.set(request.owner, (queued.get(request.owner) || 0n) + onChain.shares);
+    }
+  }
+  for (const entry of ledger.accounts.values()) {
+    flag(entry.address, "queued", entry.queued, queued.get(entry.address) || 0n);
+  }
+  flag("teller", "requests", ledger.requests.size, Number(await c.teller.nextRequestId({ blockTag })));
+
+  return mismatches;
+}
+
+function plain(value) {
+  if (typeof value === "bigint") return format(value);
+  return value;
+}
+
+function ledgerReport(c, ledger, mismatches) {
+  const named = (address) => (ethers.isAddress(address) ? addressName(c, address) : address);
+  return {
+    network: c.manifest && c.manifest.network,
+    fromBlock: ledger.fromBlock,
+    toBlock: ledger.toBlock,
+    reconciled: mismatches.length === 0,
+    accounts: [...ledger.accounts.values()].map((entry) => ({
+      address: entry.address,
+      name: named(entry.address),
+      shares: format(entry.shares),
+      queued: format(entry.queued),
+      deposited: format(entry.deposited),
+      realized: format(entry.realized),
+      received: format(entry.received),
+      managerCalls: entry.managerCalls
+    })),
+    mismatches: mismatches.map((m) => ({
+      subject: named(m.subject),
+      field: m.field,
+      ledger: typeof m.ledger === "bigint" ? format(m.ledger) : m.ledger,
+      chain: typeof m.chain === "bigint" ? format(m.chain) : m.chain
+    })),
+    history: ledger.history.map((entry) =>
+      Object.fromEntries(
+        Object.entries({ ...entry, accountName: named(entry.account) }).map(([key, value]) => [key, plain(value)])
+      )
+    )
+  };
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function historyCsv(report) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const entry of report.history) lines.push(CSV_COLUMNS.map((column) => csvCell(entry[column])).join(","));
+  return `${lines.join("\n")}\n`;
+}
+
+async function reconcile(c, options = {}) {
+  const ledger = await buildLedger(c, options);
+  return ledgerReport(c, ledger, await reconcileLedger(c, ledger));
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  buildLedger,
+  reconcileLedger,
+  ledgerReport,
+  historyCsv,
+  reconcile
+};
@@ -0,0 +1,161 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { ethers } = require("hardhat");
+const { resolveAddress } = require("./stack");
+const { functionFragmentFrom } = require("./manager-call");
+const { InputError, NotFoundError } = require("./errors");
+
+const POLICY_DIR = path.join(__dirname, "..", "..", "policies");
+const LEAF_TYPES = ["address", "bytes4", "bool", "tuple(uint8 index, bytes32 value)[]"];
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function listPolicies() {
+  if (!fs.existsSync(POLICY_DIR)) return [];
+  return fs
+    .readdirSync(POLICY_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => path.basename(file, ".json"))
+    .sort();
+}
+
+// Policies are looked up by name under policies/; only the CLI passes `allowFiles` to read a path.
+function loadPolicy(nameOrFile, { allowFiles = false } = {}) {
+  let file = nameOrFile;
+  if (!(allowFiles && fs.existsSync(file) && fs.statSync(file).isFile())) {
+    if (!/^[\w-]+$/.test(nameOrFile)) throw new InputError(`Invalid policy name '${nameOrFile}'.`, "policy");
+    file = path.join(POLICY_DIR, `${nameOrFile}.json`);
+  }
+  if (!fs.existsSync(file)) throw new NotFoundError(`Policy not found: ${nameOrFile}`);
+
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (_) {
+    throw new InputError(`Policy ${path.basename(file)} is not valid JSON.`, "policy");
+  }
+  if (!Array.isArray(policy.leaves) || !policy.leaves.length) {
+    throw new InputError(`Policy ${file} has no leaves.`, "policy");
+  }
+  return { name: policy.name || path.basename(file, ".json"), file, ...policy };
+}
+
+function hashLeaf(target, selector, valueNonZero, constraints) {
+  const encoded = coder.encode(LEAF_TYPES, [target, selector, valueNonZero, constraints.map((c) => [c.index, c.value])]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+  const [low, high] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [low, high]);
+}
+
+// Sorted-pair tree matching contracts/utils/MerkleProof.sol; an odd node is carried up unchanged.
+function buildTree(hashes) {
+  const layers = [hashes];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+  return layers;
+}
+
+function proofFor(layers, index) {
+  const proof = [];
+  let position = index;
+  for (const layer of layers.slice(0, -1)) {
+    const sibling = position ^ 1;
+    if (sibling < layer.length) proof.push(layer[sibling]);
+    position >>= 1;
+  }
+  return proof;
+}
+
+// Constraints pin head words of the calldata, so only value types that encode in place qualify.
+function isWord(param) {
+  return !param.isArray() && !param.isTuple() && param.type !== "bytes" && param.type !== "string";
+}
+
+function argConstraints(c, fragment, args, where) {
+  if (args === undefined) return [];
+  if (!Array.isArray(args) || args.length > fragment.inputs.length) {
+    throw new InputError(`${where}: args must be an array of at most ${fragment.inputs.length} entries.`, "args");
+  }
+
+  const constraints = [];
+  args.forEach((arg, index) => {
+    if (arg === null || arg === undefined) return;
+    const input = fragment.inputs[index];
+    if (!isWord(input)) {
+      throw new InputError(`${where}: argument ${index} (${input.type}) is not a single ABI word and cannot be constrained.`, "args");
+    }
+    if (fragment.inputs.slice(0, index).some((earlier) => earlier.isArray() || earlier.isTuple())) {
+      throw new InputError(`${where}: argument ${index} follows an array or tuple argument and cannot be constrained.`, "args");
+    }
+    const value = input.type === "address" && !ethers.isAddress(arg) ? resolveAddress(c, arg) : arg;
+    try {
+      constraints.push({ index, value: coder.encode([input.type], [value]) });
+    } catch (error) {
+      throw new InputError(`${where}: cannot encode argument ${index}: ${error.shortMessage || error.message}`, "args");
+    }
+  });
+  return constraints;
+}
+
+function expandLeaves(c, policy) {
+  const leaves = [];
+  policy.leaves.forEach((entry, i) => {
+    const where = `Policy leaf ${i + 1}${entry.label ? ` (${entry.label})` : ""}`;
+    const fragment = functionFragmentFrom(entry.signature);
+    const target = ethers.getAddress(resolveAddress(c, entry.target));
+    const constraints = argConstraints(c, fragment, entry.args, where);
+    const variants = entry.allowValue ? [false, true] : [false];
+
+    for (const valueNonZero of variants) {
+      leaves.push({
+        label: entry.label || `${entry.target}.${fragment.name}`,
+        target,
+        signature: fragment.format("sighash"),
+        selector: fragment.selector,
+        valueNonZero,
+        constraints,
+        hash: hashLeaf(target, fragment.selector, valueNonZero, constraints)
+      });
+    }
+  });
+  return leaves;
+}
+
+function buildPolicy(c, policy) {
+  const leaves = expandLeaves(c, policy).filter(
+    (leaf, i, all) => all.findIndex((other) => other.hash === leaf.hash) === i
+  );
+  const layers = buildTree(leaves.map((leaf) => leaf.hash));
+  return {
+    name: policy.name,
+    root: layers[layers.length - 1][0],
+    leaves: leaves.map((leaf, i) => ({ ...leaf, proof: proofFor(layers, i) }))
+  };
+}
+
+// Owner-only: commits the policy root on the vault and keeps the tree on the stack for later proofs.
+async function applyPolicy(c, policy, owner = c.actors.deployer) {
+  const tree = policy ? buildPolicy(c, policy) : null;
+  await (await c.vault.connect(owner).setManageRoot(tree ? tree.root : ethers.ZeroHash)).wait();
+  c.policy = tree;
+  return tree;
+}
+
+module.exports = {
+  POLICY_DIR,
+  listPolicies,
+  loadPolicy,
+  hashLeaf,
+  buildTree,
+  proofFor,
+  buildPolicy,
+  applyPolicy
+};
@@ -0,0 +1,143 @@
+const { ethers } = require("hardhat");
+const { units, resolveAddress } = require("./stack");
+const { InputError, StateError } = require("./errors");
+
+function functionFragmentFrom(signature) {
+  if (typeof signature !== "string" || !signature.trim()) {
+    throw new InputError("signature must be a function signature, e.g. 'transfer(address,uint256)'.", "signature");
+  }
+  const text = signature.trim().replace(/^function\s+/, "");
+  try {
+    return ethers.FunctionFragment.from(`function ${text}`);
+  } catch (error) {
+    throw new InputError(`Invalid function signature '${signature}': ${error.shortMessage || error.message}`, "signature");
+  }
+}
+
+function plainValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return Array.from(value, plainValue);
+  return value;
+}
+
+function encodeCall(c, signature, args = []) {
+  const fragment = functionFragmentFrom(signature);
+  if (!Array.isArray(args)) throw new InputError("args must be an array.", "args");
+  if (args.length !== fragment.inputs.length) {
+    throw new InputError(`${fragment.name} expects ${fragment.inputs.length} argument(s), got ${args.length}.`, "args");
+  }
+
+  const resolvedArgs = args.map((arg, i) =>
+    fragment.inputs[i].type === "address" && !ethers.isAddress(arg) ? resolveAddress(c, arg) : arg
+  );
+  const iface = new ethers.Interface([fragment]);
+  try {
+    return { fragment, iface, data: iface.encodeFunctionData(fragment, resolvedArgs) };
+  } catch (error) {
+    throw new InputError(`Cannot encode arguments for ${fragment.name}: ${error.shortMessage || error.message}`, "args");
+  }
+}
+
+function decodeResult(call, returnData) {
+  const { fragment, iface } = call;
+  const decoded = fragment.outputs.length ? iface.decodeFunctionResult(fragment, returnData) : [];
+  return fragment.outputs.map((output, i) => ({
+    name: output.name,
+    type: output.type,
+    value: plainValue(decoded[i])
+  }));
+}
+
+function argumentWord(data, index) {
+  const start = 10 + index * 64;
+  const word = data.slice(start, start + 64);
+  return word.length === 64 ? `0x${word.toLowerCase()}` : null;
+}
+
+// Picks the policy leaf that covers this call, or null when the policy does not allow it.
+function findPolicyLeaf(tree, target, value, data) {
+  const selector = data.slice(0, 10).toLowerCase();
+  const valueNonZero = BigInt(value) > 0n;
+  return (
+    tree.leaves.find(
+      (leaf) =>
+        leaf.target.toLowerCase() === target.toLowerCase() &&
+        leaf.selector === selector &&
+        leaf.valueNonZero === valueNonZero &&
+        leaf.constraints.every((constraint) => argumentWord(data, constraint.index) === constraint.value.toLowerCase())
+    ) || null
+  );
+}
+
+function policyProof(c, root, target, value, data) {
+  if (!c.policy || c.policy.root !== root) {
+    throw new StateError("The vault enforces a manage policy root, but the matching policy is not loaded.");
+  }
+  // Calls outside the policy are still sent with an empty proof so the vault reports CallNotAllowed.
+  const leaf = findPolicyLeaf(c.policy, target, value, data);
+  return {
+    constraints: leaf ? leaf.constraints.map(({ index, value: word }) => ({ index, value: word })) : [],
+    proof: leaf ? leaf.proof : []
+  };
+}
+
+async function submitManagerCall(c, signer, target, value, data) {
+  const root = await c.vault.manageRoot();
+  if (root === ethers.ZeroHash) return c.vault.connect(signer).managerCall(target, value, data);
+
+  const { constraints, proof } = policyProof(c, root, target, value, data);
+  return c.vault.connect(signer).managerCallWithProof(target, value, data, constraints, proof);
+}
+
+async function sendManagerCall(c, signer, target, value, data) {
+  const receipt = await (await submitManagerCall(c, signer, target, value, data)).wait();
+  const [event] = managerCallEvents(c, receipt);
+  return { receipt, event };
+}
+
+function managerCallEvents(c, receipt) {
+  return receipt.logs
+    .map((log) => c.vault.interface.parseLog(log))
+    .filter((parsed) => parsed && parsed.name === "ManagerCall");
+}
+
+// Encodes `[{ target, signature, args, value }]` into the calls managerBatch runs in order.
+function buildBatch(c, calls) {
+  if (!Array.isArray(calls) || !calls.length) throw new InputError("calls must be a non-empty array.", "calls");
+  return calls.map((entry, i) => {
+    if (!entry || typeof entry !== "object") throw new InputError(`calls[${i}] must be an object.`, `calls[${i}]`);
+    try {
+      const call = encodeCall(c, entry.signature, entry.args || []);
+      const value = entry.value === undefined || entry.value === null || entry.value === "" ? 0n : units(entry.value, "value");
+      return { target: resolveAddress(c, entry.target), value, data: call.data, call };
+    } catch (error) {
+      if (!(error instanceof InputError)) throw error;
+      throw new InputError(`calls[${i}]: ${error.message}`, `calls[${i}].${error.field || "signature"}`);
+    }
+  });
+}
+
+async function sendManagerBatch(c, signer, batch) {
+  const root = await c.vault.manageRoot();
+  const calls = batch.map(({ target, value, data }) => ({
+    target,
+    value,
+    data,
+    ...(root === ethers.ZeroHash ? { constraints: [], proof: [] } : policyProof(c, root, target, value, data))
+  }));
+  const receipt = await (await c.vault.connect(signer).managerBatch(calls)).wait();
+  const events = managerCallEvents(c, receipt);
+  const results = batch.map((entry, i) => (entry.call ? decodeResult(entry.call, events[i].args.result) : events[i].args.result));
+  return { receipt, events, results };
+}
+
+module.exports = {
+  functionFragmentFrom,
+  plainValue,
+  encodeCall,
+  decodeResult,
+  findPolicyLeaf,
+  sendManagerCall,
+  buildBatch,
+  sendManagerBatch
+};
@@ -0,0 +1,73 @@
+const { ethers } = require("hardhat");
+const { actorNameOf } = require("./stack");
+const { startBlockOf } = require("./deploy");
+
+// Every address the authority or the registry has ever mentioned, plus the named actors. An external
+// authority is only known by IManagerAuthority, which declares no events, so only the registry's count.
+async function knownManagers(c, fromBlock = startBlockOf(c)) {
+  const addresses = new Set(Object.values(c.actors).map((signer) => signer.address));
+  const granted = c.authority.interface.getEvent("ManagerPermissionSet")
+    ? await c.authority.queryFilter(c.authority.filters.ManagerPermissionSet(), fromBlock)
+    : [];
+  const synced = await c.registry.queryFilter(c.registry.filters.ManagerSynced(), fromBlock);
+  for (const log of [...granted, ...synced]) addresses.add(ethers.getAddress(log.args.manager));
+  return [...addresses];
+}
+
+async function managerDrift(c, addresses) {
+  const candidates = addresses || (await knownManagers(c));
+  const cacheMode = await c.registry.useCache();
+  const rows = [];
+  for (const address of candidates) {
+    const authority = await c.authority.isAuthorizedManager(address);
+    const cached = await c.registry.isManager(address);
+    rows.push({
+      address,
+      name: actorNameOf(c, address),
+      authority,
+      cached,
+      effective: cacheMode ? cached : authority,
+      drift: authority !== cached
+    });
+  }
+  return { cacheMode, managers: rows, drifted: rows.filter((row) => row.drift) };
+}
+
+// True when either source grants the role: the authority, or the registry's cache (which cache mode
+// can switch on at any time), so a stale cache entry still counts.
+async function hasManagerRole(c, address) {
+  return (await c.authority.isAuthorizedManager(address)) || (await c.registry.isManager(address));
+}
+
+// Watches ManagerPermissionSet and pushes every changed address through syncManagers in one transaction.
+function createManagerKeeper(c, options = {}) {
+  const signer = options.signer || c.actors.deployer;
+  let nextBlock = options.fromBlock ?? startBlockOf(c);
+
+  return {
+    get nextBlock() {
+      return nextBlock;
+    },
+    async poll() {
+      const latest = await ethers.provider.getBlockNumber();
+      if (latest < nextBlock) return { fromBlock: nextBlock, toBlock: latest, changed: [], receipt: null };
+
+      const fromBlock = nextBlock;
+      const logs = await c.authority.queryFilter(c.authority.filters.ManagerPermissionSet(), fromBlock, latest);
+      nextBlock = latest + 1;
+
+      const changed = [...new Set(logs.map((log) => ethers.getAddress(log.args.manager)))];
+      if (!changed.length) return { fromBlock, toBlock: latest, changed, receipt: null };
+
+      const receipt = await (await c.registry.connect(signer).syncManagers(changed)).wait();
+      return { fromBlock, toBlock: latest, changed, receipt };
+    }
+  };
+}
+
+module.exports = {
+  knownManagers,
+  managerDrift,
+  hasManagerRole,
+  createManagerKeeper
+};
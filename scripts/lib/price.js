@@ -0,0 +1,30 @@
+const { units } = require("./stack");
+const { encodeCall, sendManagerCall } = require("./manager-call");
+const { requireMock } = require("./deploy");
+
+const ONE_SHARE = units(1);
+const LOSS_SINK = "0x000000000000000000000000000000000000dEaD";
+
+function pricePerShare(c, blockTag = "latest") {
+  return c.vault.convertToAssets(ONE_SHARE, { blockTag });
+}
+
+// Strategy yield lands in the vault as extra asset balance, which convertToAssets picks up directly.
+async function simulateYield(c, amount) {
+  requireMock(c, "usde", "Yield simulation");
+  await (await c.usde.connect(c.actors.deployer).mint(c.vault.target, amount)).wait();
+}
+
+// A loss is the manager moving assets out of the vault to an address nobody controls.
+function simulateLoss(c, manager, amount) {
+  const call = encodeCall(c, "transfer(address,uint256)", [LOSS_SINK, amount]);
+  return sendManagerCall(c, manager, c.usde.target, 0n, call.data);
+}
+
+module.exports = {
+  ONE_SHARE,
+  LOSS_SINK,
+  pricePerShare,
+  simulateYield,
+  simulateLoss
+};
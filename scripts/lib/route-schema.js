@@ -0,0 +1,163 @@
+const { ethers } = require("hardhat");
+const { units, format } = require("./stack");
+const { InputError } = require("./errors");
+
+// Field types: each parses a raw body value into the value the handler uses, or throws an
+// InputError naming the field. `spec` is the field's schema entry.
+const FIELD_TYPES = {
+  amount(value, field, spec) {
+    const amount = units(value, field);
+    if (amount === 0n && !spec.allowZero) throw new InputError(`${field} must be greater than 0.`, field);
+    return amount;
+  },
+  ether(value, field) {
+    return FIELD_TYPES.amount(value, field, { allowZero: true });
+  },
+  actor(value, field, spec, c) {
+    if (typeof value !== "string" || !c.actors[value]) {
+      throw new InputError(`Unknown actor '${value}'. Expected one of: ${Object.keys(c.actors).join(", ")}.`, field);
+    }
+    return value;
+  },
+  requestId(value, field) {
+    const requestId = Number(value);
+    if (typeof value === "boolean" || value === "" || !Number.isInteger(requestId) || requestId < 1) {
+      throw new InputError(`${field} must be a positive integer.`, field);
+    }
+    return requestId;
+  },
+  address(value, field) {
+    if (typeof value !== "string" || !ethers.isAddress(value)) throw new InputError(`Invalid address '${value}'.`, field);
+    return ethers.getAddress(value);
+  },
+  // managerBatch calls: each call's ETH `value` is an ether field, and every invalid one is reported.
+  // Targets, signatures and arguments are checked by buildBatch when the calls are encoded.
+  calls(value, field) {
+    if (!Array.isArray(value) || !value.length) throw new InputError(`${field} must be a non-empty array.`, field);
+    const errors = [];
+    const calls = value.map((entry, i) => {
+      if (!entry || typeof entry !== "object") {
+        errors.push({ field: `${field}[${i}]`, message: `${field}[${i}] must be an object.` });
+        return entry;
+      }
+      if (isMissing(entry.value)) return entry;
+      try {
+        return { ...entry, value: format(FIELD_TYPES.ether(entry.value, "value")) };
+      } catch (error) {
+        if (!(error instanceof InputError)) throw error;
+        errors.push({ field: `${field}[${i}].value`, message: `${field}[${i}]: ${error.message}` });
+        return entry;
+      }
+    });
+    if (errors.length) throw new InputError(errors[0].message, errors[0].field, errors);
+    return calls;
+  },
+  bps(value, field) {
+    const bps = Number(value);
+    if (typeof value === "boolean" || value === "" || !Number.isInteger(bps) || bps < 0) {
+      throw new InputError(`${field} must be a whole number of basis points.`, field);
+    }
+    return bps;
+  }
+};
+
+// Upper bounds read from chain. `of` names the actor field whose balance applies.
+const LIMITS = {
+  usdeBalance: {
+    of: "actor",
+    read: (c, address) => c.usde.balanceOf(address),
+    describe: (owner) => `${owner}'s USDe balance`
+  },
+  shareBalance: {
+    of: "actor",
+    read: (c, address) => c.vault.balanceOf(address),
+    describe: (owner) => `${owner}'s share balance`
+  },
+  vaultUsde: {
+    read: (c) => c.usde.balanceOf(c.vault.target),
+    describe: () => "the vault's USDe balance"
+  }
+};
+
+const actor = (fallback) => ({ type: "actor", default: fallback });
+const amount = (fallback, limit) => ({ type: "amount", default: fallback, limit });
+
+// One schema per mutating route that reads the body. A field with a `default` is optional; the
+// handlers receive defaults filled in and amounts normalised. Other fields (targets, signatures,
+// call arguments, scenario and bookmark names) are checked by the library code that parses them.
+const ROUTE_SCHEMAS = {
+  "POST /api/fund": { actor: actor("alice"), address: { type: "address", optional: true }, amount: amount("1000") },
+  "POST /api/deposit": { actor: actor("alice"), amount: amount("100", "usdeBalance") },
+  "POST /api/enable-manager": { actor: actor("manager") },
+  "POST /api/manager-transfer": { actor: actor("manager"), amount: amount("10", "vaultUsde") },
+  "POST /api/manager-call": { actor: actor("manager"), value: { type: "ether", optional: true } },
+  "POST /api/manager-batch": { actor: actor("manager"), calls: { type: "calls" } },
+  "POST /api/simulate-yield": { amount: amount("10") },
+  "POST /api/simulate-loss": { actor: actor("manager"), amount: amount("10", "vaultUsde") },
+  "POST /api/request-withdraw": { actor: actor("alice"), shares: amount("40", "shareBalance") },
+  "POST /api/claim-early": { actor: actor("alice"), requestId: { type: "requestId", default: 1 } },
+  "POST /api/claim-withdraw": { actor: actor("alice"), requestId: { type: "requestId", default: 1 } },
+  "POST /api/cancel-withdraw": { actor: actor("alice"), requestId: { type: "requestId" } },
+  "POST /api/settlement-receiver": { actor: actor("alice") },
+  "POST /api/settle-matured": { actor: actor("deployer") },
+  "POST /api/admin/fees": {
+    managementBps: { type: "bps", optional: true },
+    performanceBps: { type: "bps", optional: true }
+  },
+  "POST /api/admin/deposit-cap": { cap: { type: "amount", allowZero: true, optional: true } },
+  "POST /api/admin/account-cap": { cap: { type: "amount", allowZero: true, optional: true } },
+  "POST /api/revoke-manager": { actor: actor("manager") },
+  "POST /api/manager-after-revoke": { actor: actor("manager") }
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === "";
+}
+
+// Checks every field before anything is sent, so one response lists all invalid fields. Balance
+// limits are checked only once the amount and the actor it depends on are valid. Returns the body
+// with defaults applied and amounts as normalised decimal strings.
+async function validateBody(c, schema, body = {}) {
+  const errors = [];
+  const parsed = {};
+  const checked = { ...body };
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const raw = isMissing(body[field]) ? spec.default : body[field];
+    if (isMissing(raw)) {
+      if (!spec.optional) errors.push({ field, message: `${field} is required.` });
+      continue;
+    }
+    try {
+      parsed[field] = FIELD_TYPES[spec.type](raw, field, spec, c);
+      checked[field] = spec.type === "amount" || spec.type === "ether" ? format(parsed[field]) : parsed[field];
+    } catch (error) {
+      if (!(error instanceof InputError)) throw error;
+      errors.push(...(error.errors || [{ field, message: error.message }]));
+    }
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    if (!spec.limit || parsed[field] === undefined) continue;
+    const limit = LIMITS[spec.limit];
+    if (limit.of && parsed[limit.of] === undefined) continue;
+    const owner = limit.of ? parsed[limit.of] : null;
+    const max = await limit.read(c, owner && c.actors[owner].address);
+    if (parsed[field] > max) {
+      errors.push({ field, message: `${field} ${format(parsed[field])} exceeds ${limit.describe(owner)} of ${format(max)}.` });
+    }
+  }
+
+  if (errors.length === 1) throw new InputError(errors[0].message, errors[0].field, errors);
+  if (errors.length) {
+    throw new InputError(`${errors.length} invalid fields: ${errors.map((e) => e.message).join(" ")}`, errors[0].field, errors);
+  }
+  return checked;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  LIMITS,
+  ROUTE_SCHEMAS,
+  validateBody
+};
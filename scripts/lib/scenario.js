@@ -0,0 +1,383 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { ethers, network } = require("hardhat");
+const { units, format, resolveAddress } = require("./stack");
+const { encodeCall, decodeResult, sendManagerCall, buildBatch, sendManagerBatch } = require("./manager-call");
+const { pricePerShare, simulateYield, simulateLoss } = require("./price");
+const { loadPolicy, applyPolicy } = require("./manage-policy");
+const { managerDrift } = require("./manager-sync");
+const { createWithdrawKeeper } = require("./withdraw-keeper");
+const { applyLimits } = require("./teller-limits");
+const { requireMock } = require("./deploy");
+const { feeStatus, configureFees } = require("./fees");
+const {
+  InputError,
+  NotFoundError,
+  StateError,
+  decodeRevert,
+  describeRevert,
+  isRevert,
+  expectedRevertMatches
+} = require("./errors");
+
+const SCENARIO_DIR = path.join(__dirname, "..", "..", "scenarios");
+const DAY_SECONDS = 24 * 60 * 60;
+
+function listScenarios() {
+  if (!fs.existsSync(SCENARIO_DIR)) return [];
+  return fs
+    .readdirSync(SCENARIO_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => path.basename(file, ".json"))
+    .sort();
+}
+
+// Scenarios are looked up by name under scenarios/. Only the CLI passes `allowFiles`, so a path
+// sent to the web demo is never read.
+function scenarioPath(nameOrFile, { allowFiles = false } = {}) {
+  if (allowFiles && fs.existsSync(nameOrFile) && fs.statSync(nameOrFile).isFile()) return path.resolve(nameOrFile);
+  if (!/^[\w-]+$/.test(nameOrFile)) throw new InputError(`Invalid scenario name '${nameOrFile}'.`, "name");
+  return path.join(SCENARIO_DIR, `${nameOrFile}.json`);
+}
+
+function loadScenario(nameOrFile, options = {}) {
+  const file = scenarioPath(nameOrFile, options);
+  if (!fs.existsSync(file)) throw new NotFoundError(`Scenario not found: ${nameOrFile}`);
+
+  let scenario;
+  try {
+    scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (_) {
+    throw new InputError(`Scenario ${path.basename(file)} is not valid JSON.`, "name");
+  }
+  if (!Array.isArray(scenario.steps) || !scenario.steps.length) {
+    throw new InputError(`Scenario ${file} has no steps.`);
+  }
+  scenario.steps.forEach((step, i) => {
+    if (!actions[step.action]) {
+      throw new InputError(`Scenario ${file} step ${i + 1}: unknown action '${step.action}'.`);
+    }
+  });
+  return { name: scenario.name || path.basename(file, ".json"), file, ...scenario };
+}
+
+function signerOf(c, name) {
+  const signer = c.actors[name];
+  if (!signer) throw new InputError(`Unknown actor '${name}'.`, "actor");
+  return signer;
+}
+
+function label(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+const actions = {
+  async fund(c, step) {
+    const signer = signerOf(c, step.actor);
+    requireMock(c, "usde", "The fund step");
+    await (await c.usde.connect(c.actors.deployer).mint(signer.address, units(step.amount))).wait();
+    return `${label(step.actor)} funded with ${step.amount} USDe.`;
+  },
+
+  async deposit(c, step) {
+    const signer = signerOf(c, step.actor);
+    const amount = units(step.amount);
+    await (await c.usde.connect(signer).approve(c.teller.target, amount)).wait();
+    await (await c.teller.connect(signer).deposit(amount, signer.address)).wait();
+    return `${label(step.actor)} deposited ${step.amount} USDe.`;
+  },
+
+  async mint(c, step) {
+    const signer = signerOf(c, step.actor);
+    const shares = units(step.shares, "shares");
+    // Fees accrued inside mint only lower the price, so the preview covers the pull.
+    const assets = await c.teller.previewMint(shares);
+    await (await c.usde.connect(signer).approve(c.teller.target, assets)).wait();
+    await (await c.teller.connect(signer).mint(shares, signer.address)).wait();
+    return `${label(step.actor)} minted ${step.shares} shares for ${format(assets)} USDe.`;
+  },
+
+  async setManager(c, step) {
+    const signer = signerOf(c, step.actor);
+    const allowed = step.allowed !== false;
+    requireMock(c, "authority", "The setManager step");
+    await (await c.authority.connect(c.actors.deployer).setManager(signer.address, allowed)).wait();
+    return `${label(step.actor)} ${allowed ? "granted" : "lost"} manager role in external authority.`;
+  },
+
+  async managerCall(c, step) {
+    const signer = signerOf(c, step.actor);
+    const target = resolveAddress(c, step.target);
+    const call = encodeCall(c, step.signature, step.args);
+    const value = step.value ? units(step.value) : 0n;
+    const { event } = await sendManagerCall(c, signer, target, value, call.data);
+    const returned = decodeResult(call, event.args.result).map((output) => JSON.stringify(output.value));
+    const suffix = returned.length ? ` -> ${returned.join(", ")}` : "";
+    return `${label(step.actor)} ran ${call.fragment.format("sighash")} on ${step.target} via managerCall${suffix}.`;
+  },
+
+  async managerBatch(c, step) {
+    const signer = signerOf(c, step.actor);
+    const batch = buildBatch(c, step.calls);
+    await sendManagerBatch(c, signer, batch);
+    const names = batch.map(({ call }) => call.fragment.name).join(", ");
+    return `${label(step.actor)} ran ${batch.length} calls atomically via managerBatch (${names}).`;
+  },
+
+  async setManagePolicy(c, step) {
+    if (!step.policy) {
+      await applyPolicy(c, null);
+      return "Manage policy cleared; managerCall is unrestricted.";
+    }
+    const policy = typeof step.policy === "string" ? loadPolicy(step.policy) : step.policy;
+    const tree = await applyPolicy(c, policy);
+    return `Manage policy '${policy.name || "inline"}' committed (${tree.leaves.length} leaves, root ${tree.root.slice(0, 10)}...).`;
+  },
+
+  async setRegistryCache(c, step) {
+    const enabled = step.enabled !== false;
+    await (await c.registry.connect(c.actors.deployer).setCacheMode(enabled)).wait();
+    return `Manager registry switched to ${enabled ? "cached" : "live"} mode.`;
+  },
+
+  async syncManagers(c, step) {
+    const addresses = step.actors ? step.actors.map((name) => signerOf(c, name).address) : undefined;
+    const { drifted } = await managerDrift(c, addresses);
+    if (!drifted.length) return "Keeper found no manager drift to sync.";
+    await (await c.registry.syncManagers(drifted.map((row) => row.address))).wait();
+    return `Keeper synced ${drifted.map((row) => row.name || row.address).join(", ")} into the registry cache.`;
+  },
+
+  async requestWithdraw(c, step) {
+    const signer = signerOf(c, step.actor);
+    const shares = units(step.shares, "shares");
+    await (await c.vault.connect(signer).approve(c.teller.target, shares)).wait();
+    await (await c.teller.connect(signer).requestWithdraw(shares)).wait();
+    return `${label(step.actor)} queued ${step.shares} shares for withdrawal (3-day maturity).`;
+  },
+
+  async claimWithdraw(c, step) {
+    const signer = signerOf(c, step.actor);
+    const receiver = step.receiver ? resolveAddress(c, step.receiver) : signer.address;
+    await (await c.teller.connect(signer).claimWithdraw(step.requestId, receiver)).wait();
+    return `${label(step.actor)} claimed withdrawal #${step.requestId}.`;
+  },
+
+  async redeem(c, step) {
+    const signer = signerOf(c, step.actor);
+    const receiver = step.receiver ? resolveAddress(c, step.receiver) : signer.address;
+    const shares = step.shares === undefined ? await c.teller.maxRedeem(signer.address) : units(step.shares, "shares");
+    const receipt = await (await c.teller.connect(signer).redeem(shares, receiver, signer.address)).wait();
+    const claimed = receipt.logs
+      .map((log) => c.teller.interface.parseLog(log))
+      .filter((parsed) => parsed && parsed.name === "WithdrawClaimed")
+      .map((parsed) => `#${parsed.args.requestId}`);
+    return `${label(step.actor)} redeemed ${format(shares)} matured shares from ${claimed.join(", ")}.`;
+  },
+
+  async cancelWithdraw(c, step) {
+    const signer = signerOf(c, step.actor);
+    await (await c.teller.connect(signer).cancelWithdraw(step.requestId)).wait();
+    return `${label(step.actor)} cancelled withdrawal #${step.requestId}.`;
+  },
+
+  async setTellerLimits(c, step) {
+    const applied = await applyLimits(c, {
+      depositCap: step.depositCap,
+      accountCap: step.accountCap,
+      depositsPaused: step.depositsPaused,
+      withdrawRequestsPaused: step.withdrawRequestsPaused,
+      allowlistEnabled: step.allowlistEnabled,
+      allow: step.allow
+    });
+    return `Teller limits updated: ${applied.join(", ")}.`;
+  },
+
+  async setFees(c, step) {
+    const applied = await configureFees(c, {
+      recipient: step.recipient,
+      managementBps: step.managementBps,
+      performanceBps: step.performanceBps
+    });
+    return `Vault fees updated: ${applied.join(", ")}.`;
+  },
+
+  async accrueFees(c) {
+    const { management, performance } = (await feeStatus(c)).pending;
+    await (await c.vault.accrueFees()).wait();
+    return `Accrued ${management} USDe management and ${performance} USDe performance fees.`;
+  },
+
+  async setSettlementReceiver(c, step) {
+    const signer = signerOf(c, step.actor);
+    const receiver = step.receiver === null ? ethers.ZeroAddress : resolveAddress(c, step.receiver || step.actor);
+    await (await c.teller.connect(signer).setSettlementReceiver(receiver)).wait();
+    return receiver === ethers.ZeroAddress
+      ? `${label(step.actor)} opted out of keeper settlement.`
+      : `${label(step.actor)} opted in to keeper settlement to ${step.receiver || step.actor}.`;
+  },
+
+  async settleMatured(c, step) {
+    const signer = signerOf(c, step.actor || "deployer");
+    const keeper = createWithdrawKeeper(c, { signer, batchSize: step.batchSize });
+    const { batches } = await keeper.poll();
+    const ids = batches.flatMap((batch) => batch.settled.map((item) => `#${item.requestId}`));
+    return ids.length ? `Keeper settled ${ids.join(", ")}.` : "Keeper found no matured, opted-in requests.";
+  },
+
+  async simulateYield(c, step) {
+    await simulateYield(c, units(step.amount));
+    return `Strategy yield of ${step.amount} USDe minted into the vault (price per share ${format(await pricePerShare(c))}).`;
+  },
+
+  async simulateLoss(c, step) {
+    await simulateLoss(c, signerOf(c, step.actor), units(step.amount));
+    return `${label(step.actor)} moved ${step.amount} USDe out of the vault as a loss (price per share ${format(await pricePerShare(c))}).`;
+  },
+
+  async advanceTime(c, step) {
+    const seconds = Number(step.seconds || 0) + Number(step.days || 0) * DAY_SECONDS;
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+    return `Advanced chain time by ${seconds} seconds.`;
+  },
+
+  async assert() {
+    return "Checked expectations.";
+  }
+};
+
+class ScenarioStepError extends Error {
+  constructor(index, name, message, revert) {
+    super(`Step ${index + 1} (${name}) failed: ${message}`);
+    this.name = "ScenarioStepError";
+    this.step = index + 1;
+    this.revert = revert || null;
+  }
+}
+
+function expectedRevertLabel(expected) {
+  if (expected === true) return "a revert";
+  return typeof expected === "string" ? expected : expected.name;
+}
+
+async function checkExpectation(c, expectation) {
+  if (expectation.call) {
+    const call = encodeCall(c, expectation.call.signature, expectation.call.args);
+    const returnData = await ethers.provider.call({
+      to: resolveAddress(c, expectation.call.target),
+      data: call.data
+    });
+    const [first] = decodeResult(call, returnData);
+    const actual = String(first && first.value);
+    if (actual !== String(expectation.equals)) {
+      throw new Error(`expected ${expectation.call.target}.${call.fragment.name}() = ${expectation.equals}, got ${actual}`);
+    }
+    return;
+  }
+
+  const token = expectation.token === "usde" ? c.usde : c.vault;
+  const balance = await token.balanceOf(resolveAddress(c, expectation.of));
+  if (balance !== units(expectation.equals)) {
+    throw new Error(`expected ${expectation.of} ${expectation.token} = ${expectation.equals}, got ${format(balance)}`);
+  }
+}
+
+function createScenarioRunner(c, scenario) {
+  let cursor = 0;
+  const results = [];
+
+  async function runStep(step, index) {
+    const name = step.label || step.action;
+    let message;
+    let revert = null;
+    try {
+      message = await actions[step.action](c, step);
+    } catch (error) {
+      if (!isRevert(error)) {
+        throw new ScenarioStepError(index, name, error.message);
+      }
+      revert = decodeRevert(error);
+      if (!step.expectRevert) {
+        throw new ScenarioStepError(index, name, describeRevert(revert), revert);
+      }
+      if (!expectedRevertMatches(step.expectRevert, revert)) {
+        const wanted = expectedRevertLabel(step.expectRevert);
+        throw new ScenarioStepError(index, name, `expected ${wanted} but ${describeRevert(revert)}`, revert);
+      }
+      message = `Expected behavior: ${describeRevert(revert)}.`;
+    }
+    if (step.expectRevert && !revert) {
+      const wanted = expectedRevertLabel(step.expectRevert);
+      throw new ScenarioStepError(index, name, `expected ${wanted} but the step succeeded`);
+    }
+
+    for (const expectation of step.expect || []) {
+      try {
+        await checkExpectation(c, expectation);
+      } catch (error) {
+        throw new ScenarioStepError(index, name, error.message);
+      }
+    }
+
+    return {
+      index,
+      action: step.action,
+      section: step.section,
+      revert,
+      message,
+      summary: step.label ? `${step.label}${revert ? ` (${revert.name})` : ""}` : message
+    };
+  }
+
+  return {
+    scenario,
+    results,
+    get cursor() {
+      return cursor;
+    },
+    get done() {
+      return cursor >= scenario.steps.length;
+    },
+    async next() {
+      if (cursor >= scenario.steps.length) throw new StateError(`Scenario '${scenario.name}' already finished.`);
+      const result = await runStep(scenario.steps[cursor], cursor);
+      cursor++;
+      results.push(result);
+      return result;
+    },
+    // Moves the cursor back to `index` after the chain was reverted to a point before later steps ran.
+    rewind(index) {
+      if (!Number.isInteger(index) || index < 0 || index > cursor) {
+        throw new StateError(`Cannot rewind scenario '${scenario.name}' to step ${index + 1}.`);
+      }
+      cursor = index;
+      results.splice(index);
+    },
+    async runAll(onStep) {
+      while (cursor < scenario.steps.length) {
+        const result = await this.next();
+        if (onStep) onStep(result);
+      }
+      return results;
+    }
+  };
+}
+
+async function runScenario(c, scenario, log = console.log) {
+  const runner = createScenarioRunner(c, scenario);
+  await runner.runAll((result) => {
+    if (result.section) log(`== ${result.section} ==`);
+    log(`[ok] ${result.summary}`);
+  });
+  return runner.results;
+}
+
+module.exports = {
+  ScenarioStepError,
+  SCENARIO_DIR,
+  listScenarios,
+  loadScenario,
+  createScenarioRunner,
+  runScenario
+};
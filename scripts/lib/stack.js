@@ -0,0 +1,63 @@
+const { ethers } = require("hardhat");
+const { InputError } = require("./errors");
+
+const ACTOR_NAMES = ["deployer", "alice", "bob", "manager", "receiver", "carol", "dave", "erin"];
+const CONTRACT_NAMES = ["usde", "authority", "registry", "vault", "teller", "strategy"];
+
+// Parses a non-negative decimal amount with up to 18 decimals, given as a string or number, into
+// 18-decimal base units. `field` names the input in the InputError thrown for anything else.
+function units(v, field = "amount") {
+  const text = String(v ?? "").trim();
+  if (text.startsWith("-")) throw new InputError(`${field} must not be negative, got '${text}'.`, field);
+  if (!/^(\d+(\.\d+)?|\.\d+)$/.test(text)) {
+    throw new InputError(`${field} must be a decimal number, got '${text}'.`, field);
+  }
+  if ((text.split(".")[1] || "").length > 18) {
+    throw new InputError(`${field} has more than 18 decimals: '${text}'.`, field);
+  }
+  return ethers.parseUnits(text, 18);
+}
+
+function format(v) {
+  return ethers.formatUnits(v, 18);
+}
+
+async function namedActors() {
+  const signers = await ethers.getSigners();
+  return Object.fromEntries(ACTOR_NAMES.map((name, i) => [name, signers[i]]));
+}
+
+function actorNameOf(c, address) {
+  const entry = Object.entries(c.actors).find(([, signer]) => signer.address.toLowerCase() === address.toLowerCase());
+  return entry ? entry[0] : null;
+}
+
+function addressName(c, address) {
+  const contract = CONTRACT_NAMES.find((name) => c[name] && c[name].target.toLowerCase() === address.toLowerCase());
+  return contract || actorNameOf(c, address) || address;
+}
+
+function resolveAddress(c, target) {
+  if (typeof target !== "string" || !target.trim()) {
+    throw new InputError("target must be a contract name, actor name or address.", "target");
+  }
+  const key = target.trim();
+  if (CONTRACT_NAMES.includes(key) && c[key]) return c[key].target;
+  if (c.actors[key]) return c.actors[key].address;
+  if (ethers.isAddress(key)) return ethers.getAddress(key);
+  throw new InputError(
+    `Unknown target '${key}'. Use one of ${CONTRACT_NAMES.join(", ")}, an actor name, or an address.`,
+    "target"
+  );
+}
+
+module.exports = {
+  ACTOR_NAMES,
+  CONTRACT_NAMES,
+  units,
+  format,
+  namedActors,
+  actorNameOf,
+  addressName,
+  resolveAddress
+};
@@ -0,0 +1,85 @@
+const { ethers } = require("hardhat");
+const { format, addressName, resolveAddress } = require("./stack");
+const { InputError } = require("./errors");
+const { startBlockOf } = require("./deploy");
+
+const SWITCHES = {
+  depositsPaused: { setter: "setDepositsPaused", on: "deposits paused", off: "deposits resumed" },
+  withdrawRequestsPaused: {
+    setter: "setWithdrawRequestsPaused",
+    on: "withdraw requests paused",
+    off: "withdraw requests resumed"
+  },
+  allowlistEnabled: { setter: "setAllowlistEnabled", on: "depositor allowlist on", off: "depositor allowlist off" }
+};
+const CAPS = {
+  depositCap: { setter: "setDepositCap", label: "TVL cap" },
+  accountCap: { setter: "setAccountCap", label: "per-account cap" }
+};
+
+// Caps are given in USDe; 0, null or "" lifts the cap.
+function capFrom(value, field) {
+  if (value === null || value === "" || value === 0 || value === "0") return 0n;
+  try {
+    const cap = ethers.parseUnits(String(value), 18);
+    if (cap < 0n) throw new Error("negative");
+    return cap;
+  } catch (_) {
+    throw new InputError(`${field} must be a non-negative USDe amount, or 0 to lift the cap.`, field);
+  }
+}
+
+async function readLimits(c) {
+  const { teller } = c;
+  const logs = await teller.queryFilter(teller.filters.DepositorAllowed(), startBlockOf(c));
+  const candidates = [...new Set(logs.map((log) => ethers.getAddress(log.args.depositor)))];
+  const allowed = [];
+  for (const address of candidates) {
+    if (await teller.allowedDepositor(address)) allowed.push(addressName(c, address));
+  }
+
+  const depositCap = await teller.depositCap();
+  const accountCap = await teller.accountCap();
+  return {
+    depositCap: depositCap === 0n ? null : format(depositCap),
+    accountCap: accountCap === 0n ? null : format(accountCap),
+    depositsPaused: await teller.depositsPaused(),
+    withdrawRequestsPaused: await teller.withdrawRequestsPaused(),
+    allowlistEnabled: await teller.allowlistEnabled(),
+    allowedDepositors: allowed
+  };
+}
+
+// Validates every field present in `changes` first, then sends one owner transaction per change.
+async function applyLimits(c, changes, owner = c.actors.deployer) {
+  const planned = [];
+
+  for (const [field, cap] of Object.entries(CAPS)) {
+    if (changes[field] === undefined) continue;
+    const value = capFrom(changes[field], field);
+    planned.push([cap.setter, [value], value === 0n ? `${cap.label} lifted` : `${cap.label} ${format(value)} USDe`]);
+  }
+  for (const [field, flag] of Object.entries(SWITCHES)) {
+    if (changes[field] === undefined) continue;
+    if (typeof changes[field] !== "boolean") throw new InputError(`${field} must be true or false.`, field);
+    planned.push([flag.setter, [changes[field]], changes[field] ? flag.on : flag.off]);
+  }
+  for (const [who, allowed] of Object.entries(changes.allow || {})) {
+    if (typeof allowed !== "boolean") throw new InputError(`allow.${who} must be true or false.`, `allow.${who}`);
+    const address = resolveAddress(c, who);
+    const change = allowed ? "added to" : "removed from";
+    planned.push(["setDepositorAllowed", [address, allowed], `${addressName(c, address)} ${change} the allowlist`]);
+  }
+  if (!planned.length) throw new InputError("No teller limit to change.", "limits");
+
+  const teller = c.teller.connect(owner);
+  for (const [setter, args] of planned) {
+    await (await teller[setter](...args)).wait();
+  }
+  return planned.map(([, , description]) => description);
+}
+
+module.exports = {
+  readLimits,
+  applyLimits
+};
@@ -0,0 +1,81 @@
+const { ethers } = require("hardhat");
+const { startBlockOf } = require("./deploy");
+
+const DEFAULT_BATCH_SIZE = 20;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// Reads each open request and keeps the ones settleWithdraws would pay out right now.
+async function settleableRequests(c, requestIds, now) {
+  const ready = [];
+  const stillOpen = [];
+  for (const requestId of requestIds) {
+    const request = await c.teller.withdrawRequests(requestId);
+    if (request.handled) continue;
+    stillOpen.push(requestId);
+
+    const receiver = await c.teller.settlementReceiver(request.owner);
+    if (receiver === ethers.ZeroAddress || Number(request.unlockTimestamp) > now) continue;
+    ready.push({ requestId, owner: request.owner, receiver, shares: request.shares });
+  }
+  return { ready, stillOpen };
+}
+
+// Scans WithdrawRequested logs, remembers unhandled requests and settles the matured, opted-in
+// ones through settleWithdraws in batches of `batchSize`.
+function createWithdrawKeeper(c, options = {}) {
+  const signer = options.signer || c.actors.deployer;
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  let nextBlock = options.fromBlock ?? startBlockOf(c);
+  let open = [];
+
+  return {
+    get nextBlock() {
+      return nextBlock;
+    },
+    get open() {
+      return [...open];
+    },
+    async poll({ dryRun = false } = {}) {
+      const latest = await ethers.provider.getBlock("latest");
+      if (latest.number >= nextBlock) {
+        const logs = await c.teller.queryFilter(c.teller.filters.WithdrawRequested(), nextBlock, latest.number);
+        open.push(...logs.map((log) => Number(log.args.requestId)));
+        nextBlock = latest.number + 1;
+      }
+
+      const { ready, stillOpen } = await settleableRequests(c, open, latest.timestamp);
+      open = stillOpen;
+      if (dryRun || !ready.length) return { open: open.length, ready, batches: [] };
+
+      const batches = [];
+      for (const requests of chunk(ready, batchSize)) {
+        const receipt = await (await c.teller.connect(signer).settleWithdraws(requests.map((r) => r.requestId))).wait();
+        const settled = receipt.logs
+          .map((log) => c.teller.interface.parseLog(log))
+          .filter((parsed) => parsed && parsed.name === "WithdrawClaimed")
+          .map((parsed) => ({
+            requestId: Number(parsed.args.requestId),
+            owner: parsed.args.owner,
+            receiver: parsed.args.receiver,
+            shares: parsed.args.shares,
+            assets: parsed.args.assets
+          }));
+        batches.push({ requestIds: requests.map((r) => r.requestId), settled, receipt });
+      }
+
+      const settledIds = new Set(batches.flatMap((batch) => batch.settled.map((item) => item.requestId)));
+      open = open.filter((requestId) => !settledIds.has(requestId));
+      return { open: open.length, ready, batches };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  createWithdrawKeeper
+};
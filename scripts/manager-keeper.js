@@ -0,0 +1,66 @@
+require("./lib/chain");
+const { namedActors, actorNameOf } = require("./lib/stack");
+const { manifestPath, readManifest, attachStack } = require("./lib/deploy");
+const { managerDrift, createManagerKeeper } = require("./lib/manager-sync");
+
+const DEFAULT_INTERVAL_MS = 5000;
+
+function parseArgs(argv) {
+  const args = { manifest: manifestPath(), interval: DEFAULT_INTERVAL_MS, once: false, drift: false, fromBlock: undefined };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === "--manifest") args.manifest = argv[++i];
+    else if (argv[i] === "--interval") args.interval = Number(argv[++i]);
+    else if (argv[i] === "--from-block") args.fromBlock = Number(argv[++i]);
+    else if (argv[i] === "--once") args.once = true;
+    else if (argv[i] === "--drift") args.drift = true;
+  }
+  return args;
+}
+
+function printDrift(report) {
+  console.log(`Registry mode: ${report.cacheMode ? "cached (vault trusts synced list)" : "live (vault asks authority)"}`);
+  for (const row of report.managers) {
+    const who = (row.name || row.address).padEnd(12);
+    const mark = row.drift ? "DRIFT" : "ok";
+    console.log(`${mark.padEnd(6)}${who} authority=${row.authority} cached=${row.cached} effective=${row.effective}`);
+  }
+  console.log(report.drifted.length ? `${report.drifted.length} manager(s) out of sync.` : "Cache matches the authority.");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const c = await attachStack(await namedActors(), readManifest(args.manifest));
+
+  if (args.drift) {
+    printDrift(await managerDrift(c));
+    return;
+  }
+
+  const keeper = createManagerKeeper(c, { fromBlock: args.fromBlock });
+  console.log(`== Manager keeper watching ${c.authority.target} from block ${keeper.nextBlock} ==`);
+
+  let running = true;
+  process.on("SIGINT", () => {
+    running = false;
+  });
+
+  while (running) {
+    const { fromBlock, toBlock, changed, receipt } = await keeper.poll();
+    if (receipt) {
+      console.log(`[${new Date().toISOString()}] blocks ${fromBlock}-${toBlock}: synced ${changed.map((address) => actorNameOf(c, address) || address).join(", ")} (tx ${receipt.hash})`);
+    }
+    if (args.once) break;
+    await sleep(args.interval);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
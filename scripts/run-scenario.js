@@ -0,0 +1,40 @@
+const { namedActors } = require("./lib/stack");
+const { deployStack, manifestPath, readManifest, attachStack } = require("./lib/deploy");
+const { listScenarios, loadScenario, runScenario } = require("./lib/scenario");
+
+function parseArgs(argv) {
+  const args = { target: null, attach: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === "--attach") {
+      args.attach = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : manifestPath();
+    } else {
+      args.target = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { target, attach } = parseArgs(process.argv.slice(2));
+  if (!target) {
+    console.error("Usage: npm run scenario <file-or-name> [--attach [manifest]]");
+    console.error(`Available scenarios: ${listScenarios().join(", ")}`);
+    process.exit(1);
+  }
+
+  const scenario = loadScenario(target, { allowFiles: true });
+  console.log(`== Scenario: ${scenario.name} ==`);
+  if (scenario.description) console.log(scenario.description);
+
+  const actors = await namedActors();
+  const c = attach ? await attachStack(actors, readManifest(attach)) : await deployStack(actors);
+  await runScenario(c, scenario);
+  console.log(`== Scenario complete (${scenario.steps.length} steps) ==`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -1,7 +1,39 @@
 const http = require("node:http");
 const fs = require("node:fs");
 const path = require("node:path");
+
+const { isExternal, networkInfo, probeCapabilities, requireCapability } = require("./lib/chain");
 const hre = require("hardhat");
+const {
+  units,
+  format,
+  namedActors,
+  actorNameOf,
+  addressName,
+  resolveAddress
+} = require("./lib/stack");
+const { deployStack, manifestPath, writeManifest, readManifest, requireMock, attachStack } = require("./lib/deploy");
+const { encodeCall, decodeResult, sendManagerCall, buildBatch, sendManagerBatch } = require("./lib/manager-call");
+const { pricePerShare, simulateYield, simulateLoss } = require("./lib/price");
+const { listPolicies, loadPolicy, applyPolicy } = require("./lib/manage-policy");
+const { managerDrift, hasManagerRole } = require("./lib/manager-sync");
+const { createWithdrawKeeper } = require("./lib/withdraw-keeper");
+const { readLimits, applyLimits } = require("./lib/teller-limits");
+const { feeStatus, configureFees, feeReport } = require("./lib/fees");
+const { ScenarioStepError, listScenarios, loadScenario, createScenarioRunner } = require("./lib/scenario");
+const { PRESENTER_ACTORS, createAccessControl } = require("./lib/demo-access");
+const { ROUTE_SCHEMAS, validateBody } = require("./lib/route-schema");
+const {
+  InputError,
+  NotFoundError,
+  StateError,
+  UnsupportedError,
+  UnauthorizedError,
+  ForbiddenError,
+  decodeRevert,
+  describeRevert,
+  isRevert
+} = require("./lib/errors");
 
 const { ethers, network } = hre;
 
@@ -21,7 +53,117 @@ const mime = {
 };
 
 const WITHDRAW_DELAY_SECONDS = 3 * 24 * 60 * 60;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_FEED_LIMIT = 50;
+const MAX_FEED_ITEMS = 1000;
+const FEED_POLL_MS = 1000;
+const HEARTBEAT_MS = 15000;
+const MAX_BOOKMARK_NAME = 64;
+const MAX_PRICE_POINTS = 500;
+const RPC_METHODS = new Set([
+  "web3_clientVersion",
+  "net_version",
+  "eth_chainId",
+  "eth_accounts",
+  "eth_requestAccounts",
+  "eth_blockNumber",
+  "eth_gasPrice",
+  "eth_maxPriorityFeePerGas",
+  "eth_feeHistory",
+  "eth_getBalance",
+  "eth_getCode",
+  "eth_getTransactionCount",
+  "eth_getBlockByNumber",
+  "eth_getBlockByHash",
+  "eth_getTransactionByHash",
+  "eth_getTransactionReceipt",
+  "eth_getLogs",
+  "eth_call",
+  "eth_estimateGas",
+  "eth_sendTransaction",
+  "eth_sendRawTransaction"
+]);
+const WALLET_CALLS = {
+  approve: ["usde", "approve"],
+  allowance: ["usde", "allowance"],
+  approveShares: ["vault", "approve"],
+  shareAllowance: ["vault", "allowance"],
+  usdeBalance: ["usde", "balanceOf"],
+  shareBalance: ["vault", "balanceOf"],
+  deposit: ["teller", "deposit"],
+  requestWithdraw: ["teller", "requestWithdraw"],
+  cancelWithdraw: ["teller", "cancelWithdraw"],
+  claimWithdraw: ["teller", "claimWithdraw"]
+};
+const access = createAccessControl({
+  presenterToken: process.env.PRESENTER_TOKEN,
+  participantToken: process.env.PARTICIPANT_TOKEN
+});
 let ctx = null;
+let bookmarks = [];
+let activeScenario = null;
+let capabilities = null;
+const feed = { seq: 0, generation: 0, items: [], prices: [], nextBlock: 0, syncing: false, clients: new Set() };
+
+class PayloadTooLargeError extends Error {}
+
+const REVERT_STATUS = {
+  NotOwner: 403,
+  NotManager: 403,
+  NotTeller: 403,
+  NotRequestOwner: 403,
+  ManageProofRequired: 403,
+  CallNotAllowed: 403,
+  ArgumentNotAllowed: 403,
+  NotOperator: 403,
+  RequestHandled: 409,
+  RequestNotMatured: 409,
+  ReentrancyDetected: 409,
+  DepositsPaused: 409,
+  WithdrawRequestsPaused: 409,
+  ExceedsClaimable: 409,
+  DepositorNotAllowed: 403
+};
+
+function errorResponse(error) {
+  if (error instanceof InputError) {
+    return [
+      400,
+      { ok: false, code: "INVALID_INPUT", error: error.message, field: error.field, ...(error.errors && { errors: error.errors }) }
+    ];
+  }
+  if (error instanceof UnauthorizedError) {
+    return [401, { ok: false, code: "UNAUTHORIZED", error: error.message }];
+  }
+  if (error instanceof ForbiddenError) {
+    return [403, { ok: false, code: "FORBIDDEN", error: error.message }];
+  }
+  if (error instanceof PayloadTooLargeError) {
+    return [413, { ok: false, code: "PAYLOAD_TOO_LARGE", error: error.message }];
+  }
+  if (error instanceof NotFoundError) {
+    return [404, { ok: false, code: "NOT_FOUND", error: error.message }];
+  }
+  if (error instanceof StateError) {
+    return [409, { ok: false, code: "INVALID_STATE", error: error.message }];
+  }
+  if (error instanceof UnsupportedError) {
+    return [501, { ok: false, code: "UNSUPPORTED", error: error.message }];
+  }
+
+  if (error instanceof ScenarioStepError) {
+    const status = error.revert ? REVERT_STATUS[error.revert.name] || 422 : 422;
+    return [status, { ok: false, code: "SCENARIO_STEP_FAILED", error: error.message, step: error.step, revert: error.revert }];
+  }
+  if (isRevert(error)) {
+    const revert = decodeRevert(error);
+    const status = (revert && REVERT_STATUS[revert.name]) || 422;
+    return [status, { ok: false, code: "REVERTED", error: `Transaction ${describeRevert(revert)}.`, revert }];
+  }
+
+  return [500, { ok: false, code: "INTERNAL_ERROR", error: error.message }];
+}
 
 function json(res, status, body) {
   res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
@@ -42,7 +184,7 @@ function parseBody(req) {
     req.on("data", (chunk) => {
       data += chunk.toString();
       if (data.length > 1_000_000) {
-        reject(new Error("Payload too large"));
+        reject(new PayloadTooLargeError("Payload too large"));
       }
     });
     req.on("end", () => {
@@ -50,7 +192,7 @@ function parseBody(req) {
       try {
         resolve(JSON.parse(data));
       } catch {
-        reject(new Error("Invalid JSON payload"));
+        reject(new InputError("Invalid JSON payload"));
       }
     });
     req.on("error", reject);
@@ -58,177 +200,681 @@ function parseBody(req) {
 }
 
 function ensureCtx() {
-  if (!ctx) throw new Error("Demo not initialized. Click 'Init / Create Vault' first.");
+  if (!ctx) throw new StateError("Demo not initialized. Click 'Init / Create Vault' first.");
   return ctx;
 }
 
-function units(v) {
-  return ethers.parseUnits(String(v), 18);
+async function chainTime() {
+  const block = await ethers.provider.getBlock("latest");
+  return block.timestamp;
 }
 
-function format(v) {
-  return ethers.formatUnits(v, 18);
+function requestStatus(request, cancelledIds, now) {
+  if (request.handled) return cancelledIds.has(request.id) ? "cancelled" : "claimed";
+  return request.unlockTimestamp <= now ? "matured" : "pending";
 }
 
-async function snapshot() {
-  if (!ctx) {
-    return { initialized: false };
-  }
+async function listRequests(query) {
+  const c = ensureCtx();
+  const page = Math.max(1, Math.floor(Number(query.page) || 1));
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(query.pageSize) || DEFAULT_PAGE_SIZE)));
 
-  const managerAuthorized = await ctx.authority.isAuthorizedManager(ctx.manager.address);
-  const nextRequestId = await ctx.teller.nextRequestId();
+  const total = Number(await c.teller.nextRequestId());
+  const now = await chainTime();
+  const cancelledLogs = await c.teller.queryFilter(c.teller.filters.WithdrawCancelled());
+  const cancelledIds = new Set(cancelledLogs.map((log) => Number(log.args.requestId)));
+  const requestedBlocks = new Map(
+    (await c.teller.queryFilter(c.teller.filters.WithdrawRequested())).map((log) => [Number(log.args.requestId), log.blockNumber])
+  );
+  // ERC-7540 redeems can pay one request out over several claims.
+  const paidAssets = new Map();
+  for (const log of await c.teller.queryFilter(c.teller.filters.WithdrawClaimed())) {
+    const id = Number(log.args.requestId);
+    paidAssets.set(id, (paidAssets.get(id) || 0n) + log.args.assets);
+  }
 
-  let request1 = null;
-  if (nextRequestId >= 1n) {
-    const r = await ctx.teller.withdrawRequests(1);
-    request1 = {
+  const first = (page - 1) * pageSize + 1;
+  const last = Math.min(total, first + pageSize - 1);
+  const items = [];
+  for (let id = first; id <= last; id++) {
+    const r = await c.teller.withdrawRequests(id);
+    const request = {
+      id,
       owner: r.owner,
+      ownerName: actorNameOf(c, r.owner),
       shares: format(r.shares),
       unlockTimestamp: Number(r.unlockTimestamp),
+      secondsLeft: Math.max(0, Number(r.unlockTimestamp) - now),
       handled: r.handled
     };
+    const settlesTo = r.handled ? ethers.ZeroAddress : await c.teller.settlementReceiver(r.owner);
+    request.settlesTo = settlesTo === ethers.ZeroAddress ? null : addressName(c, settlesTo);
+    request.status = requestStatus(request, cancelledIds, now);
+    request.requestedAssets = requestedBlocks.has(id)
+      ? format(await c.vault.convertToAssets(r.shares, { blockTag: requestedBlocks.get(id) }))
+      : null;
+    if (request.status === "claimed") {
+      request.assets = paidAssets.has(id) ? format(paidAssets.get(id)) : null;
+    } else {
+      request.assets = request.status === "cancelled" ? null : format(await c.vault.convertToAssets(r.shares));
+    }
+    items.push(request);
   }
 
+  return {
+    chainTime: now,
+    page,
+    pageSize,
+    total,
+    totalPages: Math.ceil(total / pageSize),
+    items
+  };
+}
+
+const FEED_EVENTS = {
+  teller: [
+    "Deposited",
+    "WithdrawRequested",
+    "WithdrawClaimed",
+    "WithdrawCancelled",
+    "WithdrawSettled",
+    "SettlementReceiverSet",
+    "DepositCapUpdated",
+    "AccountCapUpdated",
+    "DepositsPauseUpdated",
+    "WithdrawRequestsPauseUpdated",
+    "AllowlistUpdated",
+    "DepositorAllowed",
+    "OperatorSet"
+  ],
+  vault: ["ManagerCall", "TellerUpdated", "FeeRecipientUpdated", "FeesUpdated", "FeesAccrued"],
+  registry: ["ManagerSynced", "CacheModeUpdated"],
+  authority: ["ManagerPermissionSet"]
+};
+const AMOUNT_ARGS = new Set([
+  "assets",
+  "shares",
+  "value",
+  "amount",
+  "cap",
+  "managementAssets",
+  "performanceAssets",
+  "pricePerShare"
+]);
+
+function plainArgs(fragment, args) {
+  const out = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    out[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return out;
+}
+
+function describeEvent(c, name, args) {
+  const parts = Object.entries(args)
+    .filter(([key]) => key !== "data" && key !== "result")
+    .map(([key, value]) => {
+      if (AMOUNT_ARGS.has(key)) return `${key}=${format(value)}`;
+      if (typeof value === "string" && ethers.isAddress(value)) return `${key}=${addressName(c, value)}`;
+      return `${key}=${value}`;
+    });
+  return `${name} ${parts.join(" ")}`;
+}
+
+function decodeLog(c, log) {
+  for (const [contractName, eventNames] of Object.entries(FEED_EVENTS)) {
+    const contract = c[contractName];
+    if (log.address.toLowerCase() !== contract.target.toLowerCase()) continue;
+
+    const parsed = contract.interface.parseLog(log);
+    if (!parsed || !eventNames.includes(parsed.name)) return null;
+
+    const args = plainArgs(parsed.fragment, parsed.args);
+    return {
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      contract: contractName,
+      event: parsed.name,
+      args,
+      summary: describeEvent(c, parsed.name, args)
+    };
+  }
+  return null;
+}
+
+function resetFeed() {
+  feed.generation++;
+  feed.items = [];
+  feed.prices = [];
+  feed.nextBlock = 0;
+  broadcast("reset", { lastId: feed.seq });
+}
+
+async function syncEvents() {
+  if (!ctx || feed.syncing) return;
+  const c = ctx;
+  const generation = feed.generation;
+  feed.syncing = true;
+  try {
+    const latest = await ethers.provider.getBlockNumber();
+    if (latest < feed.nextBlock) return;
+
+    const fromBlock = feed.nextBlock;
+    const logs = await ethers.provider.getLogs({
+      address: Object.keys(FEED_EVENTS).map((name) => c[name].target),
+      fromBlock,
+      toBlock: latest
+    });
+    if (generation !== feed.generation) return;
+    feed.nextBlock = latest + 1;
+
+    for (const log of logs) {
+      const decoded = decodeLog(c, log);
+      if (!decoded) continue;
+      decoded.id = ++feed.seq;
+      feed.items.push(decoded);
+      broadcast("chain-event", decoded);
+    }
+    if (feed.items.length > MAX_FEED_ITEMS) {
+      feed.items.splice(0, feed.items.length - MAX_FEED_ITEMS);
+    }
+    await recordPrices(c, generation, Math.max(fromBlock, latest - MAX_PRICE_POINTS + 1), latest);
+  } finally {
+    feed.syncing = false;
+  }
+}
+
+// One price-per-share sample per block; blocks before the vault existed have no price and are skipped.
+async function recordPrices(c, generation, fromBlock, toBlock) {
+  for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+    let price;
+    let block;
+    try {
+      price = await pricePerShare(c, blockNumber);
+      block = await ethers.provider.getBlock(blockNumber);
+    } catch {
+      continue;
+    }
+    if (generation !== feed.generation) return;
+    feed.prices.push({ blockNumber, timestamp: block.timestamp, pricePerShare: format(price) });
+  }
+  if (feed.prices.length > MAX_PRICE_POINTS) {
+    feed.prices.splice(0, feed.prices.length - MAX_PRICE_POINTS);
+  }
+}
+
+async function listEvents(query) {
+  ensureCtx();
+  await syncEvents();
+  const fromBlock = Number(query.fromBlock) || 0;
+  const limit = Math.min(MAX_FEED_ITEMS, Math.max(1, Math.floor(Number(query.limit) || DEFAULT_FEED_LIMIT)));
+  const items = feed.items.filter((item) => item.blockNumber >= fromBlock && (!query.event || item.event === query.event));
+  return {
+    total: items.length,
+    items: items.slice(-limit)
+  };
+}
+
+function broadcast(type, payload) {
+  const frame = `${payload.id ? `id: ${payload.id}\n` : ""}event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const client of feed.clients) {
+    client.write(frame);
+  }
+}
+
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.write("retry: 2000\n\n");
+
+  const lastId = Number(req.headers["last-event-id"]);
+  const backlog = Number.isInteger(lastId)
+    ? feed.items.filter((item) => item.id > lastId)
+    : feed.items.slice(-DEFAULT_FEED_LIMIT);
+  backlog.forEach((item) => {
+    res.write(`id: ${item.id}\nevent: chain-event\ndata: ${JSON.stringify(item)}\n\n`);
+  });
+
+  feed.clients.add(res);
+  req.on("close", () => feed.clients.delete(res));
+}
+
+async function actorBalances(c) {
+  const totalSupply = await c.vault.totalSupply();
+  const rows = [];
+  for (const [name, signer] of Object.entries(c.actors)) {
+    const shares = await c.vault.balanceOf(signer.address);
+    rows.push({
+      name,
+      address: signer.address,
+      usde: format(await c.usde.balanceOf(signer.address)),
+      shares: format(shares),
+      sharePercent: totalSupply === 0n ? 0 : Number((shares * 10_000n) / totalSupply) / 100,
+      managerAuthorized: await c.authority.isAuthorizedManager(signer.address),
+      managerCached: await c.registry.isManager(signer.address),
+      managerEffective: await c.registry.isAuthorizedManager(signer.address)
+    });
+  }
+  return rows;
+}
+
+async function ensureCapabilities() {
+  capabilities = capabilities || (await probeCapabilities());
+  return capabilities;
+}
+
+async function networkStatus() {
+  return { ...networkInfo(), capabilities: await ensureCapabilities() };
+}
+
+async function snapshot() {
+  if (!ctx) {
+    return { initialized: false, network: await networkStatus() };
+  }
+
+  await syncEvents();
+  const managerAuthorized = await ctx.authority.isAuthorizedManager(ctx.actors.manager.address);
+  const nextRequestId = await ctx.teller.nextRequestId();
+
   return {
     initialized: true,
-    actors: {
-      deployer: ctx.deployer.address,
-      alice: ctx.alice.address,
-      manager: ctx.manager.address,
-      receiver: ctx.receiver.address
-    },
+    network: await networkStatus(),
+    actors: await actorBalances(ctx),
     contracts: {
       usde: ctx.usde.target,
       authority: ctx.authority.target,
       registry: ctx.registry.target,
       vault: ctx.vault.target,
       teller: ctx.teller.target,
-      strategy: ctx.strategy.target
+      strategy: ctx.strategy ? ctx.strategy.target : null
     },
     managerAuthorized,
     nextRequestId: Number(nextRequestId),
     balances: {
-      aliceUsde: format(await ctx.usde.balanceOf(ctx.alice.address)),
-      aliceShares: format(await ctx.vault.balanceOf(ctx.alice.address)),
       vaultUsde: format(await ctx.usde.balanceOf(ctx.vault.target)),
+      totalShares: format(await ctx.vault.totalSupply()),
       tellerShares: format(await ctx.vault.balanceOf(ctx.teller.target)),
-      receiverUsde: format(await ctx.usde.balanceOf(ctx.receiver.address))
+      pricePerShare: format(await pricePerShare(ctx))
     },
-    request1
+    priceHistory: feed.prices,
+    requests: await listRequests({}),
+    bookmarks: listBookmarks(),
+    managePolicy: await managePolicyStatus(ctx),
+    registry: await registryStatus(ctx),
+    tellerLimits: await readLimits(ctx),
+    fees: await feeStatus(ctx),
+    scenario: scenarioStatus().active
   };
 }
 
-async function initDemo() {
-  await network.provider.send("hardhat_reset");
+function clearSession() {
+  ctx = null;
+  bookmarks = [];
+  activeScenario = null;
+  resetFeed();
+}
 
-  const [deployer, alice, , manager, receiver] = await ethers.getSigners();
+// Without hardhat_reset the new stack is deployed next to the previous one; fresh contracts
+// still give every flow clean balances and request ids.
+async function resetStack(config) {
+  const { reset } = await ensureCapabilities();
+  if (reset) await network.provider.send("hardhat_reset");
+  clearSession();
+  if (!reset) feed.nextBlock = (await ethers.provider.getBlockNumber()) + 1;
+  const c = await deployStack(await namedActors(), config);
+  if (isExternal()) {
+    c.manifestFile = writeManifest(c.manifest);
+  }
+  ctx = c;
+  return ctx;
+}
 
-  const MockUSDe = await ethers.getContractFactory("MockUSDe");
-  const usde = await MockUSDe.deploy(deployer.address);
+// Over HTTP only manifests under deployments/ can be attached, given as `<network>`,
+// `<network>.json` or `deployments/<network>.json`; DEPLOYMENT_MANIFEST may point anywhere.
+function manifestFileFrom(body) {
+  if (!body.file) return manifestPath();
+  const match = /^(?:deployments\/)?([\w-]+)(?:\.json)?$/.exec(String(body.file));
+  if (!match) throw new InputError("file must name a manifest under deployments/, e.g. 'localhost.json'.", "file");
+  return manifestPath(match[1]);
+}
 
-  const SimpleManagerAuthority = await ethers.getContractFactory("SimpleManagerAuthority");
-  const authority = await SimpleManagerAuthority.deploy(deployer.address);
+async function attachManifest(file) {
+  const manifest = readManifest(file);
+  const c = await attachStack(await namedActors(), manifest);
+  clearSession();
+  feed.nextBlock = manifest.startBlock || 0;
+  c.manifestFile = file;
+  ctx = c;
+  return {
+    message: `Attached to deployment manifest ${file} (chain ${manifest.chainId}).`,
+    state: await snapshot()
+  };
+}
 
-  const ManagerRegistry = await ethers.getContractFactory("ManagerRegistry");
-  const registry = await ManagerRegistry.deploy(deployer.address, authority.target);
+async function attachDemo(body) {
+  return attachManifest(manifestFileFrom(body));
+}
 
-  const USDeBoringVault = await ethers.getContractFactory("USDeBoringVault");
-  const vault = await USDeBoringVault.deploy(
-    deployer.address,
-    usde.target,
-    registry.target,
-    "Veda USDe Vault Share",
-    "vUSDe"
+function walletCalls(c) {
+  return Object.fromEntries(
+    Object.entries(WALLET_CALLS).map(([name, [contract, fn]]) => {
+      const fragment = c[contract].interface.getFunction(fn);
+      return [name, { contract, signature: fragment.format("sighash"), selector: fragment.selector }];
+    })
   );
+}
 
-  const TellerWith3DayQueue = await ethers.getContractFactory("TellerWith3DayQueue");
-  const teller = await TellerWith3DayQueue.deploy(vault.target);
-  await (await vault.setTeller(teller.target)).wait();
-
-  const MockStrategyTarget = await ethers.getContractFactory("MockStrategyTarget");
-  const strategy = await MockStrategyTarget.deploy();
+function deploymentInfo() {
+  const c = ensureCtx();
+  return {
+    manifestFile: c.manifestFile || null,
+    ...c.manifest,
+    addresses: { usde: c.usde.target, vault: c.vault.target, teller: c.teller.target },
+    wallet: { rpcPath: "/rpc", calls: walletCalls(c) }
+  };
+}
 
-  await (await usde.mint(alice.address, units(1000))).wait();
+async function initDemo() {
+  await resetStack({ mints: [{ to: "alice", amount: "1000" }] });
+  const note = capabilities.reset ? "" : " The node does not support hardhat_reset, so earlier contracts remain on chain.";
 
-  ctx = {
-    deployer,
-    alice,
-    manager,
-    receiver,
-    usde,
-    authority,
-    registry,
-    vault,
-    teller,
-    strategy
+  return {
+    message: `Vault stack deployed and Alice funded with 1000 USDe.${note}`,
+    state: await snapshot()
   };
+}
 
+function label(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function actorFrom(body, fallback) {
+  const c = ensureCtx();
+  const name = body.actor || fallback;
+  const signer = c.actors[name];
+  if (!signer) {
+    throw new InputError(`Unknown actor '${name}'. Expected one of: ${Object.keys(c.actors).join(", ")}.`, "actor");
+  }
+  return { name, signer, label: label(name) };
+}
+
+async function fundActor(body) {
+  const c = ensureCtx();
+  let recipient;
+  if (body.address !== undefined) {
+    if (!ethers.isAddress(body.address)) throw new InputError(`Invalid address '${body.address}'.`, "address");
+    const name = actorNameOf(c, body.address);
+    recipient = { address: ethers.getAddress(body.address), label: name ? label(name) : ethers.getAddress(body.address) };
+  } else {
+    const actor = actorFrom(body, "alice");
+    recipient = { address: actor.signer.address, label: actor.label };
+  }
+  requireMock(c, "usde", "Funding");
+  const amount = units(body.amount);
+  await (await c.usde.connect(c.actors.deployer).mint(recipient.address, amount)).wait();
   return {
-    message: "Vault stack deployed and Alice funded with 1000 USDe.",
+    message: `${recipient.label} funded with ${format(amount)} USDe.`,
     state: await snapshot()
   };
 }
 
 async function doDeposit(body) {
   const c = ensureCtx();
-  const amount = units(body.amount || 100);
-  await (await c.usde.connect(c.alice).approve(c.teller.target, amount)).wait();
-  await (await c.teller.connect(c.alice).deposit(amount, c.alice.address)).wait();
+  const actor = actorFrom(body, "alice");
+  const amount = units(body.amount);
+  await (await c.usde.connect(actor.signer).approve(c.teller.target, amount)).wait();
+  await (await c.teller.connect(actor.signer).deposit(amount, actor.signer.address)).wait();
   return {
-    message: `Alice deposited ${format(amount)} USDe.`,
+    message: `${actor.label} deposited ${format(amount)} USDe.`,
     state: await snapshot()
   };
 }
 
-async function enableManager() {
+async function enableManager(body) {
   const c = ensureCtx();
-  await (await c.authority.setManager(c.manager.address, true)).wait();
+  const actor = actorFrom(body, "manager");
+  requireMock(c, "authority", "Granting the manager role");
+  await (await c.authority.connect(c.actors.deployer).setManager(actor.signer.address, true)).wait();
   return {
-    message: "Manager enabled in external authority.",
+    message: `${actor.label} granted manager role in external authority.`,
     state: await snapshot()
   };
 }
 
 async function managerTransfer(body) {
   const c = ensureCtx();
-  const amount = units(body.amount || 10);
-  const callData = c.usde.interface.encodeFunctionData("transfer", [c.receiver.address, amount]);
-  await (await c.vault.connect(c.manager).managerCall(c.usde.target, 0, callData)).wait();
+  const actor = actorFrom(body, "manager");
+  const amount = units(body.amount);
+  const receiver = c.actors.receiver.address;
+  const callData = c.usde.interface.encodeFunctionData("transfer", [receiver, amount]);
+  await sendManagerCall(c, actor.signer, c.usde.target, 0, callData);
   return {
-    message: `Manager moved ${format(amount)} USDe from vault to receiver via unrestricted managerCall.`,
+    message: `${actor.label} moved ${format(amount)} USDe from vault to receiver via unrestricted managerCall.`,
     state: await snapshot()
   };
 }
 
-async function requestWithdraw(body) {
+async function simulateYieldRoute(body) {
   const c = ensureCtx();
-  const shares = units(body.shares || 40);
-  await (await c.vault.connect(c.alice).approve(c.teller.target, shares)).wait();
-  await (await c.teller.connect(c.alice).requestWithdraw(shares)).wait();
+  const amount = units(body.amount);
+  const before = await pricePerShare(c);
+  await simulateYield(c, amount);
   return {
-    message: `Alice queued ${format(shares)} shares for withdrawal (3-day maturity).`,
+    message: `Simulated ${format(amount)} USDe of strategy yield; price per share ${format(before)} -> ${format(await pricePerShare(c))}.`,
     state: await snapshot()
   };
 }
 
-async function tryClaimEarly() {
+async function simulateLossRoute(body) {
   const c = ensureCtx();
-  try {
-    await c.teller.connect(c.alice).claimWithdraw(1, c.alice.address);
-    return {
-      message: "Unexpected: early claim succeeded (should fail).",
-      state: await snapshot()
-    };
-  } catch {
+  const actor = actorFrom(body, "manager");
+  const amount = units(body.amount);
+  const before = await pricePerShare(c);
+  await simulateLoss(c, actor.signer, amount);
+  return {
+    message: `${actor.label} moved ${format(amount)} USDe out of the vault as a loss; price per share ${format(before)} -> ${format(await pricePerShare(c))}.`,
+    state: await snapshot()
+  };
+}
+
+async function managePolicyStatus(c) {
+  const root = await c.vault.manageRoot();
+  if (root === ethers.ZeroHash) return null;
+  const loaded = c.policy && c.policy.root === root;
+  return {
+    root,
+    name: loaded ? c.policy.name : null,
+    leaves: loaded ? c.policy.leaves.map(({ label: leafLabel, target, signature, valueNonZero, constraints }) => ({
+      label: leafLabel,
+      target: addressName(c, target),
+      signature,
+      valueNonZero,
+      constrainedArgs: constraints.map((constraint) => constraint.index)
+    })) : null
+  };
+}
+
+function policyList() {
+  return { available: listPolicies() };
+}
+
+async function setManagePolicy(body) {
+  const c = ensureCtx();
+  if (!body.policy) {
+    await applyPolicy(c, null);
     return {
-      message: "Expected behavior: early claim reverted before 3-day maturity.",
+      message: "Manage policy cleared; managerCall is unrestricted again.",
       state: await snapshot()
     };
   }
+
+  const tree = await applyPolicy(c, loadPolicy(String(body.policy)));
+  return {
+    message: `Manage policy '${tree.name}' committed as root ${tree.root} (${tree.leaves.length} leaves).`,
+    state: await snapshot()
+  };
+}
+
+async function registryStatus(c) {
+  const { cacheMode, drifted } = await managerDrift(c);
+  return { cacheMode, drifted: drifted.map((row) => row.name || row.address) };
+}
+
+async function setCacheMode(body) {
+  const c = ensureCtx();
+  if (typeof body.enabled !== "boolean") throw new InputError("enabled must be true or false.", "enabled");
+  await (await c.registry.connect(c.actors.deployer).setCacheMode(body.enabled)).wait();
+  return {
+    message: body.enabled
+      ? "Registry switched to cached mode; authority changes now wait for a keeper sync."
+      : "Registry switched to live mode; the authority is read on every call.",
+    state: await snapshot()
+  };
+}
+
+// One keeper pass: push every address whose cached flag disagrees with the authority.
+async function syncManagersRoute() {
+  const c = ensureCtx();
+  const { drifted } = await managerDrift(c);
+  if (!drifted.length) {
+    return { message: "Registry cache already matches the authority.", state: await snapshot() };
+  }
+  await (await c.registry.connect(c.actors.deployer).syncManagers(drifted.map((row) => row.address))).wait();
+  const names = drifted.map((row) => `${row.name || row.address} (${row.authority ? "granted" : "revoked"})`);
+  return {
+    message: `Keeper synced ${drifted.length} manager(s): ${names.join(", ")}.`,
+    state: await snapshot()
+  };
+}
+
+async function genericManagerCall(body) {
+  const c = ensureCtx();
+  const actor = actorFrom(body, "manager");
+  const target = resolveAddress(c, body.target);
+  const value = body.value ? ethers.parseEther(String(body.value)) : 0n;
+  const call = encodeCall(c, body.signature, body.args === undefined ? [] : body.args);
+  const { fragment, data } = call;
+
+  const { receipt, event } = await sendManagerCall(c, actor.signer, target, value, data);
+
+  return {
+    message: `${actor.label} called ${fragment.format("sighash")} on ${addressName(c, target)} via managerCall.`,
+    call: {
+      target,
+      selector: fragment.selector,
+      calldata: data,
+      value: value.toString()
+    },
+    returnData: event.args.result,
+    decoded: decodeResult(call, event.args.result),
+    event: {
+      blockNumber: receipt.blockNumber,
+      txHash: receipt.hash,
+      manager: event.args.manager,
+      target: event.args.target,
+      value: event.args.value.toString(),
+      data: event.args.data,
+      result: event.args.result
+    },
+    state: await snapshot()
+  };
+}
+
+// Runs every call in one managerBatch transaction; a failing call undoes the whole batch and
+// comes back as BatchCallFailed(index, reason) with the inner revert decoded.
+async function managerBatchRoute(body) {
+  const c = ensureCtx();
+  const actor = actorFrom(body, "manager");
+  const batch = buildBatch(c, body.calls);
+
+  const { receipt, events, results } = await sendManagerBatch(c, actor.signer, batch);
+  const names = batch.map(({ target, call }) => `${addressName(c, target)}.${call.fragment.name}`);
+
+  return {
+    message: `${actor.label} ran ${batch.length} calls atomically via managerBatch: ${names.join(", ")}.`,
+    blockNumber: receipt.blockNumber,
+    txHash: receipt.hash,
+    calls: batch.map(({ target, value, data, call }, i) => ({
+      target,
+      selector: call.fragment.selector,
+      calldata: data,
+      value: value.toString(),
+      result: events[i].args.result,
+      decoded: results[i]
+    })),
+    state: await snapshot()
+  };
+}
+
+async function requestWithdraw(body) {
+  const c = ensureCtx();
+  const actor = actorFrom(body, "alice");
+  const shares = units(body.shares, "shares");
+  await (await c.vault.connect(actor.signer).approve(c.teller.target, shares)).wait();
+  await (await c.teller.connect(actor.signer).requestWithdraw(shares)).wait();
+  return {
+    message: `${actor.label} queued ${format(shares)} shares for withdrawal (3-day maturity).`,
+    state: await snapshot()
+  };
+}
+
+function requestIdFrom(body, fallback) {
+  const requestId = Number(body.requestId ?? fallback);
+  if (!Number.isInteger(requestId) || requestId < 1) {
+    throw new InputError("requestId must be a positive integer.", "requestId");
+  }
+  return requestId;
+}
+
+async function cancelWithdraw(body) {
+  const c = ensureCtx();
+  const actor = actorFrom(body, "alice");
+  const requestId = requestIdFrom(body);
+  const receipt = await (await c.teller.connect(actor.signer).cancelWithdraw(requestId)).wait();
+  const event = receipt.logs
+    .map((log) => c.teller.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "WithdrawCancelled");
+  return {
+    message: `${actor.label} cancelled request #${requestId}; ${format(event.args.shares)} shares returned.`,
+    refundedShares: format(event.args.shares),
+    state: await snapshot()
+  };
+}
+
+async function expectCustomError(txPromise, expected) {
+  try {
+    await (await txPromise).wait();
+  } catch (error) {
+    const revert = isRevert(error) ? decodeRevert(error) : null;
+    if (!revert || revert.name !== expected) throw error;
+    return revert;
+  }
+  throw new StateError(`Expected the transaction to revert with ${expected}, but it succeeded.`);
+}
+
+async function tryClaimEarly(body) {
+  const c = ensureCtx();
+  const actor = actorFrom(body, "alice");
+  const requestId = requestIdFrom(body, 1);
+  const revert = await expectCustomError(
+    c.teller.connect(actor.signer).claimWithdraw(requestId, actor.signer.address),
+    "RequestNotMatured"
+  );
+  return {
+    message: `Expected behavior: early claim ${describeRevert(revert)} before 3-day maturity.`,
+    revert,
+    state: await snapshot()
+  };
 }
 
 async function advanceTime() {
   ensureCtx();
+  requireCapability(await ensureCapabilities(), "timeTravel", "Advancing time");
   await network.provider.send("evm_increaseTime", [WITHDRAW_DELAY_SECONDS]);
   await network.provider.send("evm_mine");
   return {
@@ -237,72 +883,372 @@ async function advanceTime() {
   };
 }
 
-async function claimWithdraw() {
+async function claimWithdraw(body) {
+  const c = ensureCtx();
+  const actor = actorFrom(body, "alice");
+  const requestId = requestIdFrom(body, 1);
+  await (await c.teller.connect(actor.signer).claimWithdraw(requestId, actor.signer.address)).wait();
+  return {
+    message: `${actor.label} claimed mature withdrawal #${requestId} successfully.`,
+    state: await snapshot()
+  };
+}
+
+// Admin routes: the deployer owns the teller, so every limit change is sent from it.
+async function limitsRoute(changes) {
+  const c = ensureCtx();
+  const applied = await applyLimits(c, changes);
+  return {
+    message: `Teller limits updated: ${applied.join(", ")}.`,
+    state: await snapshot()
+  };
+}
+
+async function setFeesRoute(body) {
+  const c = ensureCtx();
+  const applied = await configureFees(c, {
+    recipient: body.recipient,
+    managementBps: body.managementBps,
+    performanceBps: body.performanceBps
+  });
+  return {
+    message: `Vault fees updated: ${applied.join(", ")}.`,
+    state: await snapshot()
+  };
+}
+
+async function accrueFeesRoute() {
+  const c = ensureCtx();
+  const { management, performance } = (await feeStatus(c)).pending;
+  await (await c.vault.connect(c.actors.deployer).accrueFees()).wait();
+  return {
+    message: `Accrued ${management} USDe management and ${performance} USDe performance fees as shares.`,
+    state: await snapshot()
+  };
+}
+
+async function setSettlementReceiver(body) {
+  const c = ensureCtx();
+  const actor = actorFrom(body, "alice");
+  const receiver = body.receiver === null ? ethers.ZeroAddress : resolveAddress(c, body.receiver || actor.name);
+  await (await c.teller.connect(actor.signer).setSettlementReceiver(receiver)).wait();
+  return {
+    message:
+      receiver === ethers.ZeroAddress
+        ? `${actor.label} opted out of keeper settlement.`
+        : `${actor.label} opted in to keeper settlement; matured requests pay out to ${addressName(c, receiver)}.`,
+    state: await snapshot()
+  };
+}
+
+// One keeper pass over the whole queue; the keeper is any account, the deployer by default.
+async function settleMatured(body) {
   const c = ensureCtx();
-  await (await c.teller.connect(c.alice).claimWithdraw(1, c.alice.address)).wait();
+  const actor = actorFrom(body, "deployer");
+  const keeper = createWithdrawKeeper(c, { signer: actor.signer });
+  const { batches } = await keeper.poll();
+  const settled = batches.flatMap((batch) => batch.settled);
+  const lines = settled.map(
+    (item) => `#${item.requestId} ${addressName(c, item.owner)} -> ${format(item.assets)} USDe to ${addressName(c, item.receiver)}`
+  );
   return {
-    message: "Mature withdrawal claimed successfully.",
+    message: settled.length
+      ? `${actor.label} settled ${settled.length} matured request(s): ${lines.join("; ")}.`
+      : "No matured, opted-in requests to settle.",
+    settled: settled.map((item) => ({ ...item, shares: format(item.shares), assets: format(item.assets) })),
     state: await snapshot()
   };
 }
 
-async function revokeManager() {
+async function revokeManager(body) {
   const c = ensureCtx();
-  await (await c.authority.setManager(c.manager.address, false)).wait();
+  const actor = actorFrom(body, "manager");
+  requireMock(c, "authority", "Revoking the manager role");
+  await (await c.authority.connect(c.actors.deployer).setManager(actor.signer.address, false)).wait();
   return {
-    message: "Manager revoked in external authority.",
+    message: `${actor.label} lost manager role in external authority.`,
     state: await snapshot()
   };
 }
 
-async function tryManagerAfterRevoke() {
+async function tryManagerAfterRevoke(body) {
   const c = ensureCtx();
+  const actor = actorFrom(body, "manager");
+  requireMock(c, "strategy", "The revoked-manager check");
   const callData = c.strategy.interface.encodeFunctionData("setValue", [999]);
+  const revert = await expectCustomError(
+    c.vault.connect(actor.signer).managerCall(c.strategy.target, 0, callData),
+    "NotManager"
+  );
+  return {
+    message: `Expected behavior: revoked manager call ${describeRevert(revert)}.`,
+    revert,
+    state: await snapshot()
+  };
+}
+
+function rewindFeed(blockNumber) {
+  feed.generation++;
+  feed.items = feed.items.filter((item) => item.blockNumber <= blockNumber);
+  feed.prices = feed.prices.filter((point) => point.blockNumber <= blockNumber);
+  feed.nextBlock = blockNumber + 1;
+  broadcast("rewind", { blockNumber });
+}
+
+function listBookmarks() {
+  return bookmarks.map(({ name, blockNumber, chainTime: time, createdAt }) => ({
+    name,
+    blockNumber,
+    chainTime: time,
+    createdAt
+  }));
+}
+
+function bookmarkNameFrom(body) {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name || name.length > MAX_BOOKMARK_NAME) {
+    throw new InputError(`Bookmark name must be 1-${MAX_BOOKMARK_NAME} characters.`, "name");
+  }
+  return name;
+}
+
+function findBookmark(name) {
+  const index = bookmarks.findIndex((bookmark) => bookmark.name === name);
+  if (index === -1) throw new NotFoundError(`Unknown bookmark '${name}'.`);
+  return index;
+}
+
+async function createBookmark(body) {
+  ensureCtx();
+  requireCapability(await ensureCapabilities(), "snapshots", "Bookmarking");
+  const name = bookmarkNameFrom(body);
+  if (bookmarks.some((bookmark) => bookmark.name === name)) {
+    throw new StateError(`Bookmark '${name}' already exists.`);
+  }
+
+  const block = await ethers.provider.getBlock("latest");
+  bookmarks.push({
+    name,
+    snapshotId: await network.provider.send("evm_snapshot"),
+    blockNumber: block.number,
+    chainTime: block.timestamp,
+    createdAt: new Date().toISOString(),
+    // Server-side state that evm_revert cannot rewind: the loaded manage policy and scenario cursor.
+    policy: ctx.policy || null,
+    scenario: activeScenario && { runner: activeScenario, cursor: activeScenario.cursor }
+  });
+  return {
+    message: `Bookmark '${name}' saved at block ${block.number}.`,
+    state: await snapshot()
+  };
+}
+
+async function revertToBookmark(body) {
+  ensureCtx();
+  requireCapability(await ensureCapabilities(), "snapshots", "Reverting to a bookmark");
+  const name = bookmarkNameFrom(body);
+  const index = findBookmark(name);
+  const bookmark = bookmarks[index];
+
+  const reverted = await network.provider.send("evm_revert", [bookmark.snapshotId]);
+  if (!reverted) {
+    bookmarks.splice(index, 1);
+    throw new NotFoundError(`Bookmark '${name}' is no longer valid on this chain and was removed.`);
+  }
+
+  // evm_revert consumes the snapshot and every snapshot taken after it.
+  const dropped = bookmarks.splice(index + 1).map((later) => later.name);
+  bookmark.snapshotId = await network.provider.send("evm_snapshot");
+  rewindFeed(bookmark.blockNumber);
+  ctx.policy = bookmark.policy;
+  activeScenario = bookmark.scenario && bookmark.scenario.runner;
+  const rewound = activeScenario && activeScenario.cursor !== bookmark.scenario.cursor;
+  if (activeScenario) activeScenario.rewind(bookmark.scenario.cursor);
+
+  const droppedNote = dropped.length ? ` Later bookmarks discarded: ${dropped.join(", ")}.` : "";
+  const scenarioNote = rewound ? ` Scenario '${activeScenario.scenario.name}' rewound to step ${activeScenario.cursor + 1}.` : "";
+  return {
+    message: `Reverted chain to bookmark '${name}' (block ${bookmark.blockNumber}).${droppedNote}${scenarioNote}`,
+    state: await snapshot()
+  };
+}
+
+async function deleteBookmark(body) {
+  ensureCtx();
+  const name = bookmarkNameFrom(body);
+  bookmarks.splice(findBookmark(name), 1);
+  return {
+    message: `Bookmark '${name}' deleted.`,
+    state: await snapshot()
+  };
+}
+
+function rpcError(id, code, message, data) {
+  return { jsonrpc: "2.0", id: id ?? null, error: { code, message, ...(data ? { data } : {}) } };
+}
+
+function presenterAddresses() {
+  return ctx ? PRESENTER_ACTORS.map((name) => ctx.actors[name].address) : [];
+}
+
+// JSON-RPC passthrough for browser wallets: only standard eth_* reads and sends, never the
+// evm_*/hardhat_* control methods.
+async function relayRpcCall(call, session) {
+  if (!call || typeof call.method !== "string") return rpcError(call && call.id, -32600, "Invalid JSON-RPC request.");
+  if (!RPC_METHODS.has(call.method)) return rpcError(call.id, 4200, `Method ${call.method} is not available through /rpc.`);
   try {
-    await c.vault.connect(c.manager).managerCall(c.strategy.target, 0, callData);
-    return {
-      message: "Unexpected: revoked manager call succeeded (should fail).",
-      state: await snapshot()
-    };
-  } catch {
-    return {
-      message: "Expected behavior: revoked manager call reverted.",
-      state: await snapshot()
-    };
+    await access.authorizeRpc(session, call, { presenterAddresses: presenterAddresses(), isManager: (address) => (ctx ? hasManagerRole(ctx, address) : false) });
+  } catch (error) {
+    return rpcError(call.id, 4100, error.message);
+  }
+
+  const method = call.method === "eth_requestAccounts" ? "eth_accounts" : call.method;
+  try {
+    const result = await network.provider.send(method, Array.isArray(call.params) ? call.params : []);
+    return { jsonrpc: "2.0", id: call.id ?? null, result };
+  } catch (error) {
+    const revert = isRevert(error) ? decodeRevert(error) : null;
+    if (revert) return rpcError(call.id, 3, `execution ${describeRevert(revert)}`, revert.data);
+    return rpcError(call.id, typeof error.code === "number" ? error.code : -32603, error.message);
   }
 }
 
-async function runFullFlow() {
+async function relayRpc(req, res) {
+  let body;
+  let session;
+  try {
+    session = access.sessionOf(req.headers);
+    body = await parseBody(req);
+  } catch (error) {
+    if (error instanceof UnauthorizedError) return json(res, 200, rpcError(null, 4100, error.message));
+    return json(res, 200, rpcError(null, -32700, error.message));
+  }
+
+  let response;
+  if (Array.isArray(body)) {
+    response = [];
+    for (const call of body) response.push(await relayRpcCall(call, session));
+  } else {
+    response = await relayRpcCall(body, session);
+  }
+  await syncEvents();
+  return json(res, 200, response);
+}
+
+function scenarioStatus() {
+  return {
+    available: listScenarios(),
+    active: activeScenario && {
+      name: activeScenario.scenario.name,
+      description: activeScenario.scenario.description,
+      cursor: activeScenario.cursor,
+      total: activeScenario.scenario.steps.length,
+      done: activeScenario.done,
+      steps: activeScenario.scenario.steps.map((step) => step.label || step.action),
+      results: activeScenario.results
+    }
+  };
+}
+
+function ensureScenario() {
+  if (!activeScenario) throw new StateError("No scenario loaded. Load one from the scenario list first.");
+  return activeScenario;
+}
+
+async function loadScenarioRoute(body) {
+  const scenario = loadScenario(String(body.name || ""));
+  if (scenario.steps.some((step) => step.action === "advanceTime")) {
+    requireCapability(await ensureCapabilities(), "timeTravel", `Scenario '${scenario.name}'`);
+  }
+  const c = await resetStack();
+  activeScenario = createScenarioRunner(c, scenario);
+  return {
+    message: `Scenario '${scenario.name}' loaded on a fresh vault stack (${scenario.steps.length} steps).`,
+    state: await snapshot()
+  };
+}
+
+async function stepScenario() {
+  const runner = ensureScenario();
+  const result = await runner.next();
+  return {
+    message: `Step ${result.index + 1}/${runner.scenario.steps.length}: ${result.summary}`,
+    state: await snapshot()
+  };
+}
+
+async function runScenarioRest() {
+  const runner = ensureScenario();
   const steps = [];
-  steps.push((await initDemo()).message);
-  steps.push((await doDeposit({ amount: 100 })).message);
-  steps.push((await enableManager()).message);
-  steps.push((await managerTransfer({ amount: 10 })).message);
-  steps.push((await requestWithdraw({ shares: 40 })).message);
-  steps.push((await tryClaimEarly()).message);
-  steps.push((await advanceTime()).message);
-  steps.push((await claimWithdraw()).message);
-  steps.push((await revokeManager()).message);
-  steps.push((await tryManagerAfterRevoke()).message);
+  await runner.runAll((result) => steps.push(`Step ${result.index + 1}: ${result.summary}`));
   return {
-    message: "Full quest flow completed.",
+    message: `Scenario '${runner.scenario.name}' completed.`,
     steps,
     state: await snapshot()
   };
 }
 
+async function runFullFlow() {
+  await loadScenarioRoute({ name: "quest-lifecycle" });
+  const { steps, state } = await runScenarioRest();
+  return {
+    message: "Full quest flow completed.",
+    steps,
+    state
+  };
+}
+
+// Access rules live in lib/demo-access.js: GET routes are open, the user actions listed there
+// are open to participants, and every other POST needs the presenter token. Bodies of routes with
+// an entry in lib/route-schema.js are validated, and their defaults applied, before the handler runs.
 const routes = {
+  "GET /api/session": (query, session) => access.describe(session, Object.keys(routes)),
   "POST /api/init": () => initDemo(),
+  "POST /api/attach": (body) => attachDemo(body),
+  "GET /api/deployment": () => deploymentInfo(),
   "GET /api/state": () => snapshot(),
+  "GET /api/requests": (query) => listRequests(query),
+  "GET /api/events": (query) => listEvents(query),
+  "POST /api/fund": (body) => fundActor(body),
   "POST /api/deposit": (body) => doDeposit(body),
-  "POST /api/enable-manager": () => enableManager(),
+  "POST /api/enable-manager": (body) => enableManager(body),
   "POST /api/manager-transfer": (body) => managerTransfer(body),
+  "POST /api/manager-call": (body) => genericManagerCall(body),
+  "POST /api/manager-batch": (body) => managerBatchRoute(body),
+  "POST /api/registry/cache-mode": (body) => setCacheMode(body),
+  "POST /api/managers/sync": () => syncManagersRoute(),
+  "GET /api/managers/drift": () => managerDrift(ensureCtx()),
+  "POST /api/simulate-yield": (body) => simulateYieldRoute(body),
+  "POST /api/simulate-loss": (body) => simulateLossRoute(body),
   "POST /api/request-withdraw": (body) => requestWithdraw(body),
-  "POST /api/claim-early": () => tryClaimEarly(),
+  "POST /api/claim-early": (body) => tryClaimEarly(body),
   "POST /api/advance-3days": () => advanceTime(),
-  "POST /api/claim-withdraw": () => claimWithdraw(),
-  "POST /api/revoke-manager": () => revokeManager(),
-  "POST /api/manager-after-revoke": () => tryManagerAfterRevoke(),
+  "POST /api/claim-withdraw": (body) => claimWithdraw(body),
+  "POST /api/cancel-withdraw": (body) => cancelWithdraw(body),
+  "POST /api/settlement-receiver": (body) => setSettlementReceiver(body),
+  "GET /api/admin/limits": () => readLimits(ensureCtx()),
+  "POST /api/admin/fees": (body) => setFeesRoute(body),
+  "POST /api/fees/accrue": () => accrueFeesRoute(),
+  "GET /api/fees": (query) => feeReport(ensureCtx(), { period: query.period }),
+  "POST /api/admin/deposit-cap": (body) => limitsRoute({ depositCap: body.cap ?? null }),
+  "POST /api/admin/account-cap": (body) => limitsRoute({ accountCap: body.cap ?? null }),
+  "POST /api/admin/pause": (body) =>
+    limitsRoute({ depositsPaused: body.deposits, withdrawRequestsPaused: body.withdrawRequests }),
+  "POST /api/admin/allowlist": (body) =>
+    limitsRoute({ allowlistEnabled: body.enabled, allow: body.allow }),
+  "POST /api/settle-matured": (body) => settleMatured(body),
+  "POST /api/revoke-manager": (body) => revokeManager(body),
+  "POST /api/manager-after-revoke": (body) => tryManagerAfterRevoke(body),
+  "GET /api/bookmarks": () => listBookmarks(),
+  "POST /api/bookmarks": (body) => createBookmark(body),
+  "POST /api/bookmarks/revert": (body) => revertToBookmark(body),
+  "POST /api/bookmarks/delete": (body) => deleteBookmark(body),
+  "GET /api/policies": () => policyList(),
+  "POST /api/manage-policy": (body) => setManagePolicy(body),
+  "GET /api/scenarios": () => scenarioStatus(),
+  "POST /api/scenarios/load": (body) => loadScenarioRoute(body),
+  "POST /api/scenarios/step": () => stepScenario(),
+  "POST /api/scenarios/run": () => runScenarioRest(),
   "POST /api/run-full": () => runFullFlow()
 };
 
@@ -311,17 +1257,30 @@ const server = http.createServer(async (req, res) => {
     const method = req.method || "GET";
     const reqUrl = req.url || "/";
 
-    const routeKey = `${method} ${reqUrl.split("?")[0]}`;
+    const url = new URL(reqUrl, "http://localhost");
+    const routeKey = `${method} ${url.pathname}`;
     const handler = routes[routeKey];
 
+    if (routeKey === "GET /api/events/stream") {
+      return openEventStream(req, res);
+    }
+    if (routeKey === "POST /rpc") {
+      return relayRpc(req, res);
+    }
+
     if (handler) {
-      const body = method === "POST" ? await parseBody(req) : {};
-      const data = await handler(body);
+      const session = access.sessionOf(req.headers);
+      const body = method === "POST" ? await parseBody(req) : Object.fromEntries(url.searchParams);
+      access.authorize(session, routeKey, body);
+      const schema = ROUTE_SCHEMAS[routeKey];
+      const input = schema ? await validateBody(ensureCtx(), schema, body) : body;
+      const data = await handler(input, session);
+      await syncEvents();
       return json(res, 200, { ok: true, data });
     }
 
     if (method !== "GET") {
-      return json(res, 404, { ok: false, error: "Route not found" });
+      return json(res, 404, { ok: false, code: "NOT_FOUND", error: "Route not found" });
     }
 
     const filePath = safePath(reqUrl);
@@ -342,11 +1301,52 @@ const server = http.createServer(async (req, res) => {
       res.end(data);
     });
   } catch (error) {
-    json(res, 400, { ok: false, error: error.message });
+    const [status, body] = errorResponse(error);
+    if (status >= 500) console.error(error);
+    if (status === 401) res.setHeader("WWW-Authenticate", 'Bearer realm="web-demo"');
+    json(res, status, body);
   }
 });
 
+setInterval(() => {
+  syncEvents().catch((error) => console.error(`Event sync failed: ${error.message}`));
+}, FEED_POLL_MS);
+
+setInterval(() => {
+  for (const client of feed.clients) {
+    client.write(": heartbeat\n\n");
+  }
+}, HEARTBEAT_MS);
+
+function startupManifest() {
+  if (process.env.DEPLOYMENT_MANIFEST) return process.env.DEPLOYMENT_MANIFEST;
+  return isExternal() && fs.existsSync(manifestPath()) ? manifestPath() : null;
+}
+
+async function connectNetwork() {
+  const info = networkInfo();
+  if (info.external) console.log(`Using JSON-RPC node ${info.rpcUrl} (network '${info.name}').`);
+
+  const { reset, timeTravel, snapshots } = await ensureCapabilities();
+  const disabled = [
+    !reset && "chain reset (init deploys next to old contracts)",
+    !timeTravel && "time travel",
+    !snapshots && "bookmarks"
+  ].filter(Boolean);
+  if (disabled.length) console.log(`Node lacks evm_*/hardhat_* support; disabled: ${disabled.join(", ")}.`);
+
+  const file = startupManifest();
+  if (file) console.log((await attachManifest(path.resolve(file))).message);
+}
+
 server.listen(port, () => {
   console.log(`Interactive demo website running at http://localhost:${port}`);
   console.log("Use the UI buttons to create vault and run the full quest flow.");
+  if (access.mode === "open") {
+    console.log("PRESENTER_TOKEN is not set: every visitor can reset the chain, travel in time and use admin routes.");
+  } else {
+    console.log("Reset, time travel, manager and admin routes need the presenter token; participants get user actions only.");
+  }
+
+  connectNetwork().catch((error) => console.error(`Network setup failed: ${error.message}`));
 });
@@ -0,0 +1,76 @@
+require("./lib/chain");
+const { namedActors, actorNameOf, format } = require("./lib/stack");
+const { manifestPath, readManifest, attachStack } = require("./lib/deploy");
+const { DEFAULT_BATCH_SIZE, createWithdrawKeeper } = require("./lib/withdraw-keeper");
+
+const DEFAULT_INTERVAL_MS = 15000;
+
+function parseArgs(argv) {
+  const args = {
+    manifest: manifestPath(),
+    interval: DEFAULT_INTERVAL_MS,
+    batchSize: DEFAULT_BATCH_SIZE,
+    fromBlock: undefined,
+    once: false,
+    dryRun: false
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === "--manifest") args.manifest = argv[++i];
+    else if (argv[i] === "--interval") args.interval = Number(argv[++i]);
+    else if (argv[i] === "--batch-size") args.batchSize = Number(argv[++i]);
+    else if (argv[i] === "--from-block") args.fromBlock = Number(argv[++i]);
+    else if (argv[i] === "--once") args.once = true;
+    else if (argv[i] === "--dry-run") args.dryRun = true;
+  }
+  return args;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const c = await attachStack(await namedActors(), readManifest(args.manifest));
+  const name = (address) => actorNameOf(c, address) || address;
+  const stamp = () => `[${new Date().toISOString()}]`;
+
+  const keeper = createWithdrawKeeper(c, { fromBlock: args.fromBlock, batchSize: args.batchSize });
+  console.log(`== Withdraw keeper settling ${c.teller.target} from block ${keeper.nextBlock} (batches of ${args.batchSize}) ==`);
+
+  let running = true;
+  process.on("SIGINT", () => {
+    running = false;
+  });
+
+  while (running) {
+    const { open, ready, batches } = await keeper.poll({ dryRun: args.dryRun });
+    if (args.dryRun) {
+      for (const r of ready) {
+        console.log(`${stamp()} would settle #${r.requestId} (${name(r.owner)}, ${format(r.shares)} shares) to ${name(r.receiver)}`);
+      }
+    }
+    for (const batch of batches) {
+      console.log(`${stamp()} settleWithdraws([${batch.requestIds.join(", ")}]) tx ${batch.receipt.hash}`);
+      for (const item of batch.settled) {
+        console.log(
+          `${stamp()}   #${item.requestId} ${name(item.owner)}: ${format(item.shares)} shares -> ${format(item.assets)} USDe to ${name(item.receiver)}`
+        );
+      }
+      const skipped = batch.requestIds.length - batch.settled.length;
+      if (skipped) console.log(`${stamp()}   ${skipped} request(s) were handled elsewhere before the batch landed.`);
+    }
+    if (args.once) {
+      console.log(`${stamp()} ${open} open request(s) left in the queue.`);
+      break;
+    }
+    await sleep(args.interval);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
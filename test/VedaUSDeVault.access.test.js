@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { UnauthorizedError, ForbiddenError } = require("../scripts/lib/errors");
+const { PARTICIPANT_ROUTES, requiredRole, createAccessControl } = require("../scripts/lib/demo-access");
+const { namedActors } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+const { hasManagerRole } = require("../scripts/lib/manager-sync");
+
+const ROUTES = ["GET /api/state", "POST /api/init", "POST /api/advance-3days", "POST /api/revoke-manager", "POST /api/deposit"];
+
+function bearer(token) {
+  return { authorization: `Bearer ${token}` };
+}
+
+describe("Veda USDe Vault demo access control", function () {
+  it("treats GET routes as open, listed user actions as participant routes and every other POST as presenter-only", function () {
+    expect(requiredRole("GET /api/state")).to.equal(null);
+    for (const routeKey of PARTICIPANT_ROUTES) expect(requiredRole(routeKey)).to.equal("participant");
+    for (const routeKey of ["POST /api/init", "POST /api/advance-3days", "POST /api/revoke-manager", "POST /api/new-route"]) {
+      expect(requiredRole(routeKey)).to.equal("presenter");
+    }
+  });
+
+  it("leaves every route open when no presenter token is configured", function () {
+    const access = createAccessControl({});
+    const session = access.sessionOf(bearer("anything"));
+
+    expect(access.mode).to.equal("open");
+    expect(session.role).to.equal("presenter");
+    expect(() => access.authorize(session, "POST /api/init")).to.not.throw();
+    expect(access.describe(session, ROUTES).allowedRoutes).to.deep.equal(ROUTES.slice(1));
+  });
+
+  it("answers missing or invalid credentials with 401 errors and participant tokens on presenter routes with 403", function () {
+    const access = createAccessControl({ presenterToken: "stage", participantToken: "crowd" });
+
+    const anonymous = access.sessionOf({});
+    expect(anonymous.role).to.equal(null);
+    expect(() => access.authorize(anonymous, "POST /api/deposit")).to.throw(UnauthorizedError);
+    expect(() => access.authorize(anonymous, "POST /api/init")).to.throw(UnauthorizedError);
+    expect(() => access.authorize(anonymous, "GET /api/state")).to.not.throw();
+    expect(() => access.sessionOf(bearer("guess"))).to.throw(UnauthorizedError, "Invalid access token");
+    expect(() => access.sessionOf({ authorization: "stage" })).to.throw(UnauthorizedError, "Bearer");
+
+    const participant = access.sessionOf(bearer("crowd"));
+    expect(participant).to.deep.equal({ role: "participant", authenticated: true });
+    expect(() => access.authorize(participant, "POST /api/deposit", { actor: "bob" })).to.not.throw();
+    expect(() => access.authorize(participant, "POST /api/init")).to.throw(ForbiddenError);
+    expect(() => access.authorize(participant, "POST /api/advance-3days")).to.throw(ForbiddenError);
+    expect(() => access.authorize(participant, "POST /api/deposit", { actor: "deployer" })).to.throw(ForbiddenError);
+    expect(access.describe(participant, ROUTES).allowedRoutes).to.deep.equal(["POST /api/deposit"]);
+
+    const presenter = access.sessionOf(bearer("stage"));
+    expect(presenter.role).to.equal("presenter");
+    for (const routeKey of ROUTES) expect(() => access.authorize(presenter, routeKey, { actor: "deployer" })).to.not.throw();
+  });
+
+  it("treats callers without credentials as participants when no participant token is configured", function () {
+    const access = createAccessControl({ presenterToken: "stage" });
+    const session = access.sessionOf({});
+
+    expect(session).to.deep.equal({ role: "participant", authenticated: false });
+    expect(() => access.authorize(session, "POST /api/deposit")).to.not.throw();
+    // No credentials were offered, so the presenter route asks for them rather than forbidding.
+    expect(() => access.authorize(session, "POST /api/init")).to.throw(UnauthorizedError, "presenter token");
+  });
+
+  it("stops participants from signing /rpc sends as the deployer or manager", async function () {
+    const access = createAccessControl({ presenterToken: "stage", participantToken: "crowd" });
+    const [deployer, alice] = await ethers.getSigners();
+    const participant = access.sessionOf(bearer("crowd"));
+    const send = (from) => ({ method: "eth_sendTransaction", params: [{ from, to: alice.address }] });
+    const presenters = { presenterAddresses: [deployer.address] };
+
+    await access.authorizeRpc(participant, send(alice.address), presenters);
+    await expect(access.authorizeRpc(participant, send(deployer.address.toLowerCase()), presenters)).to.be.rejectedWith(
+      ForbiddenError
+    );
+    // Without `from` the node would sign with its first account, the deployer.
+    await expect(access.authorizeRpc(participant, send(undefined), presenters)).to.be.rejectedWith(
+      ForbiddenError,
+      "explicit 'from'"
+    );
+    await expect(access.authorizeRpc(participant, { method: "eth_sendTransaction", params: [] }, presenters)).to.be.rejectedWith(
+      ForbiddenError
+    );
+    const visitor = createAccessControl({ presenterToken: "stage" }).sessionOf({});
+    await expect(access.authorizeRpc(visitor, send(undefined), presenters)).to.be.rejectedWith(ForbiddenError);
+    await access.authorizeRpc(participant, { method: "eth_blockNumber" }, presenters);
+    await expect(access.authorizeRpc(access.sessionOf({}), send(alice.address), presenters)).to.be.rejectedWith(
+      UnauthorizedError
+    );
+
+    // Raw transactions are checked against the sender recovered from their signature.
+    const wallet = ethers.Wallet.createRandom();
+    const raw = await wallet.signTransaction({ to: alice.address, chainId: 31337, gasLimit: 21000, gasPrice: 1n, nonce: 0 });
+    const rawCall = { method: "eth_sendRawTransaction", params: [raw] };
+    await expect(access.authorizeRpc(participant, rawCall, { presenterAddresses: [wallet.address] })).to.be.rejectedWith(
+      ForbiddenError
+    );
+    await access.authorizeRpc(participant, rawCall, presenters);
+  });
+
+  it("stops participants from signing as any actor the presenter made a manager", async function () {
+    const c = await deployStack(await namedActors());
+    const { deployer, carol } = c.actors;
+    const access = createAccessControl({ presenterToken: "stage", participantToken: "crowd" });
+    const participant = access.sessionOf(bearer("crowd"));
+    const options = { presenterAddresses: [deployer.address], isManager: (address) => hasManagerRole(c, address) };
+    const data = c.vault.interface.encodeFunctionData("managerCall", [
+      c.usde.target,
+      0,
+      c.usde.interface.encodeFunctionData("transfer", [carol.address, 1n])
+    ]);
+    const drain = { method: "eth_sendTransaction", params: [{ from: carol.address, to: c.vault.target, data }] };
+
+    await access.authorizeRpc(participant, drain, options);
+    await (await c.authority.setManager(carol.address, true)).wait();
+    await expect(access.authorizeRpc(participant, drain, options)).to.be.rejectedWith(ForbiddenError, "manager");
+
+    // A registry cache entry left over after the authority revoked the role still counts.
+    await (await c.registry.syncManager(carol.address)).wait();
+    await (await c.authority.setManager(carol.address, false)).wait();
+    await expect(access.authorizeRpc(participant, drain, options)).to.be.rejectedWith(ForbiddenError, "manager");
+  });
+
+  it("rejects a participant token without a presenter token or equal to it", function () {
+    expect(() => createAccessControl({ participantToken: "crowd" })).to.throw("needs PRESENTER_TOKEN");
+    expect(() => createAccessControl({ presenterToken: "same", participantToken: "same" })).to.throw("must differ");
+  });
+});
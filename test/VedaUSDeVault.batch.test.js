@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const { namedActors, units } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+const { decodeRevert, describeRevert } = require("../scripts/lib/errors");
+const { buildBatch, sendManagerBatch } = require("../scripts/lib/manager-call");
+const { loadPolicy, applyPolicy } = require("../scripts/lib/manage-policy");
+
+describe("Veda USDe Vault manager batches", function () {
+  let c;
+  let vault;
+  let manager;
+
+  beforeEach(async function () {
+    c = await deployStack(await namedActors());
+    ({ vault } = c);
+    ({ manager } = c.actors);
+    await (await c.usde.mint(vault.target, units(100))).wait();
+    await (await c.authority.setManager(manager.address, true)).wait();
+  });
+
+  function rebalance(depositAmount = units(50)) {
+    return buildBatch(c, [
+      { target: "usde", signature: "approve(address,uint256) returns (bool)", args: ["strategy", units(50)] },
+      { target: "strategy", signature: "deposit(address,uint256)", args: ["usde", depositAmount] },
+      { target: "strategy", signature: "setValue(uint256)", args: [50] }
+    ]);
+  }
+
+  it("runs approve, deposit and stake in one transaction with a ManagerCall per call", async function () {
+    const { receipt, events, results } = await sendManagerBatch(c, manager, rebalance());
+
+    expect(events.map((event) => event.args.target)).to.deep.equal([c.usde.target, c.strategy.target, c.strategy.target]);
+    expect(new Set(receipt.logs.map((log) => log.transactionHash)).size).to.equal(1);
+    expect(results[0]).to.deep.equal([{ name: "", type: "bool", value: true }]);
+    expect(await c.usde.balanceOf(c.strategy.target)).to.equal(units(50));
+    expect(await c.strategy.deposits(vault.target)).to.equal(units(50));
+    expect(await c.strategy.value()).to.equal(50n);
+  });
+
+  it("rolls back every call and reports the failing index with the inner revert", async function () {
+    const batch = rebalance(units(60)).map(({ target, value, data }) => ({ target, value, data, constraints: [], proof: [] }));
+    const inner = c.usde.interface.encodeErrorResult("InsufficientAllowance");
+
+    await expect(vault.connect(manager).managerBatch(batch))
+      .to.be.revertedWithCustomError(vault, "BatchCallFailed")
+      .withArgs(1, inner);
+
+    expect(await c.usde.allowance(vault.target, c.strategy.target)).to.equal(0n);
+    expect(await c.usde.balanceOf(vault.target)).to.equal(units(100));
+    expect(await c.strategy.value()).to.equal(0n);
+  });
+
+  it("decodes the failing call for JS callers", async function () {
+    let error;
+    try {
+      await sendManagerBatch(c, manager, rebalance(units(60)));
+    } catch (caught) {
+      error = caught;
+    }
+
+    const revert = decodeRevert(error);
+    expect(revert.name).to.equal("BatchCallFailed");
+    expect(revert.args.index).to.equal("1");
+    expect(revert.inner.name).to.equal("InsufficientAllowance");
+    expect(describeRevert(revert)).to.equal(
+      "reverted with BatchCallFailed(index=1): inner call reverted with InsufficientAllowance()"
+    );
+  });
+
+  it("rejects empty batches and non-managers", async function () {
+    await expect(vault.connect(manager).managerBatch([])).to.be.revertedWithCustomError(vault, "EmptyBatch");
+    await expect(sendManagerBatch(c, c.actors.alice, rebalance())).to.be.revertedWithCustomError(vault, "NotManager");
+    expect(() => buildBatch(c, [])).to.throw(/non-empty array/);
+    expect(() => buildBatch(c, [{ target: "strategy", signature: "setValue(uint256)", args: [] }]))
+      .to.throw(/calls\[0\]: setValue expects 1 argument/)
+      .with.property("field", "calls[0].args");
+  });
+
+  it("checks every call against the manage policy", async function () {
+    await applyPolicy(c, loadPolicy("demo-strategy"));
+    const allowed = buildBatch(c, [
+      { target: "strategy", signature: "setValue(uint256)", args: [7] },
+      { target: "usde", signature: "transfer(address,uint256)", args: ["receiver", units(5)] }
+    ]);
+
+    await sendManagerBatch(c, manager, allowed);
+    expect(await c.usde.balanceOf(c.actors.receiver.address)).to.equal(units(5));
+
+    await expect(sendManagerBatch(c, manager, rebalance()))
+      .to.be.revertedWithCustomError(vault, "CallNotAllowed")
+      .withArgs(c.usde.target, c.usde.interface.getFunction("approve").selector);
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { namedActors, units } = require("../scripts/lib/stack");
+const { InputError, NotFoundError, StateError } = require("../scripts/lib/errors");
+const { simulateYield } = require("../scripts/lib/price");
+const {
+  resolveConfig,
+  deployStack,
+  manifestPath,
+  writeManifest,
+  readManifest,
+  requireMock,
+  attachStack
+} = require("../scripts/lib/deploy");
+
+describe("Veda USDe Vault deployment", function () {
+  let actors;
+  let tmpDir;
+
+  beforeEach(async function () {
+    actors = await namedActors();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "veda-deploy-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("deploys the wired stack and records every contract in the manifest", async function () {
+    const stack = await deployStack(actors, { mints: [{ to: "alice", amount: "1000" }] });
+
+    expect(await stack.vault.teller()).to.equal(stack.teller.target);
+    expect(await stack.vault.asset()).to.equal(stack.usde.target);
+    expect(await stack.registry.authority()).to.equal(stack.authority.target);
+    expect(await stack.usde.balanceOf(actors.alice.address)).to.equal(units(1000));
+
+    const { contracts } = stack.manifest;
+    expect(Object.keys(contracts)).to.have.members(["usde", "authority", "registry", "vault", "teller", "strategy"]);
+    expect(contracts.vault.address).to.equal(stack.vault.target);
+    expect(contracts.vault.args).to.deep.equal([
+      actors.deployer.address,
+      stack.usde.target,
+      stack.registry.target,
+      "Veda USDe Vault Share",
+      "vUSDe"
+    ]);
+    expect(stack.manifest.chainId).to.equal(31337);
+  });
+
+  it("round-trips the manifest and attaches to the deployed contracts", async function () {
+    const stack = await deployStack(actors, { mints: [{ to: "alice", amount: "50" }] });
+    const file = writeManifest(stack.manifest, manifestPath("test", tmpDir));
+
+    const attached = await attachStack(actors, readManifest(file));
+
+    expect(attached.vault.target).to.equal(stack.vault.target);
+    expect(attached.teller.target).to.equal(stack.teller.target);
+    expect(attached.strategy.target).to.equal(stack.strategy.target);
+    expect(await attached.usde.balanceOf(actors.alice.address)).to.equal(units(50));
+  });
+
+  it("reuses an existing asset and authority when the mocks are disabled", async function () {
+    const base = await deployStack(actors);
+    const stack = await deployStack(actors, {
+      shareSymbol: "vUSDe2",
+      mocks: { usde: false, authority: false, strategy: false },
+      asset: base.usde.target,
+      authority: base.authority.target
+    });
+
+    expect(stack.strategy).to.equal(null);
+    expect(stack.manifest.contracts).to.not.have.any.keys("usde", "authority", "strategy");
+    expect(await stack.vault.asset()).to.equal(base.usde.target);
+    expect(await stack.vault.symbol()).to.equal("vUSDe2");
+
+    const attached = await attachStack(actors, stack.manifest);
+    expect(attached.usde.target).to.equal(base.usde.target);
+    expect(attached.authority.target).to.equal(base.authority.target);
+    expect(attached.strategy).to.equal(null);
+
+    // Mints, manager grants and strategy calls need the mocks this deployment left out.
+    expect(() => requireMock(base, "usde", "Funding")).to.not.throw();
+    expect(() => requireMock(attached, "usde", "Funding")).to.throw(StateError, "Funding needs the MockUSDe mock");
+    expect(() => requireMock(attached, "authority", "Granting")).to.throw(StateError, "SimpleManagerAuthority");
+    await expect(simulateYield(attached, units(1))).to.be.rejectedWith(StateError, "MockUSDe");
+  });
+
+  it("rejects inconsistent deploy configs", function () {
+    expect(() => resolveConfig({ mocks: { usde: false } })).to.throw(InputError, /'asset'/);
+    expect(() => resolveConfig({ mocks: { authority: false } })).to.throw(InputError, /'authority'/);
+    expect(() =>
+      resolveConfig({ mocks: { usde: false }, asset: ethers.ZeroAddress, mints: [{ to: "alice", amount: "1" }] })
+    ).to.throw(InputError, /MockUSDe/);
+  });
+
+  it("refuses to attach to a manifest from another chain or without code", async function () {
+    const stack = await deployStack(actors);
+
+    await expect(attachStack(actors, { ...stack.manifest, chainId: 1 })).to.be.rejectedWith(InputError, /chain 1/);
+
+    const stale = {
+      ...stack.manifest,
+      contracts: { ...stack.manifest.contracts, vault: { contract: "USDeBoringVault", address: actors.bob.address } }
+    };
+    await expect(attachStack(actors, stale)).to.be.rejectedWith(NotFoundError, /stale/);
+    expect(() => readManifest(path.join(tmpDir, "missing.json"))).to.throw(NotFoundError);
+  });
+
+  it("rejects malformed manifests as input errors", function () {
+    const broken = path.join(tmpDir, "broken.json");
+    fs.writeFileSync(broken, "root:x:0:0");
+    expect(() => readManifest(broken)).to.throw(InputError, "broken.json is not valid JSON.");
+
+    fs.writeFileSync(broken, JSON.stringify({ chainId: 31337 }));
+    expect(() => readManifest(broken)).to.throw(InputError, "has no contracts");
+  });
+});
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { execFile } = require("node:child_process");
+const net = require("node:net");
+const path = require("node:path");
+
+const DOCTOR = path.join(__dirname, "..", "scripts", "doctor.js");
+
+function runDoctor(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [DOCTOR, ...args], { env: { ...process.env, ...env }, timeout: 60000 }, (error, stdout) => {
+      resolve({ code: error ? error.code : 0, stdout });
+    });
+  });
+}
+
+describe("Veda USDe Vault doctor", function () {
+  this.timeout(120000);
+
+  let server;
+  let busyPort;
+
+  before(async function () {
+    server = net.createServer();
+    await new Promise((resolve) => server.listen(0, resolve));
+    busyPort = server.address().port;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("reports every check as JSON and only warns about a busy demo port", async function () {
+    const { code, stdout } = await runDoctor(["--json"], { PORT: String(busyPort) });
+    const report = JSON.parse(stdout);
+
+    expect(report.checks.map((check) => check.name)).to.deep.equal([
+      "Node.js",
+      "npm",
+      "git",
+      "hardhat",
+      "solc",
+      "artifacts",
+      "demo port",
+      "website assets"
+    ]);
+    for (const check of report.checks) {
+      expect(["ok", "warn", "fail"]).to.include(check.status);
+      if (check.status !== "ok") expect(check.hint).to.be.a("string").and.not.equal("");
+    }
+
+    const port = report.checks.find((check) => check.name === "demo port");
+    expect(port.status).to.equal("warn");
+    expect(port.message).to.include(String(busyPort));
+    expect(port.hint).to.include("PORT=");
+    // The test run compiled the contracts and the tree ships its website assets.
+    expect(report.checks.find((check) => check.name === "solc").status).to.equal("ok");
+    expect(report.checks.find((check) => check.name === "artifacts").status).to.equal("ok");
+    expect(report.checks.find((check) => check.name === "website assets").status).to.equal("ok");
+    expect(report.ok).to.equal(true);
+    expect(code).to.equal(0);
+  });
+
+  it("fails on warnings under --strict", async function () {
+    const { code, stdout } = await runDoctor(["--json", "--strict"], { PORT: String(busyPort) });
+    const report = JSON.parse(stdout);
+
+    expect(report.strict).to.equal(true);
+    expect(report.ok).to.equal(false);
+    expect(code).to.equal(1);
+  });
+});
@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { namedActors, units } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+const { simulateYield } = require("../scripts/lib/price");
+const { createRandom } = require("../scripts/lib/fuzz");
+const { decodeRevert } = require("../scripts/lib/errors");
+
+const DAY = 24 * 60 * 60;
+const CASES = Number(process.env.PROPERTY_CASES || 12);
+const SEED = Number(process.env.PROPERTY_SEED || 4626);
+
+describe("Veda USDe Vault ERC-4626 facade", function () {
+  let c;
+  let vault;
+  let teller;
+  let usde;
+  let alice;
+  let bob;
+  let erin;
+  let rng;
+
+  beforeEach(async function () {
+    c = await deployStack(await namedActors(), {
+      mints: [
+        { to: "alice", amount: "100000" },
+        { to: "bob", amount: "100000" }
+      ],
+      fees: { recipient: "erin", managementBps: 200, performanceBps: 0 }
+    });
+    ({ vault, teller, usde } = c);
+    ({ alice, bob, erin } = c.actors);
+    for (const signer of [alice, bob]) {
+      await (await usde.connect(signer).approve(teller.target, ethers.MaxUint256)).wait();
+      await (await vault.connect(signer).approve(teller.target, ethers.MaxUint256)).wait();
+    }
+    // An awkward price so every conversion has a remainder to round.
+    await (await teller.connect(bob).deposit(units(1000), bob.address)).wait();
+    await simulateYield(c, units("37.123456789") + 7n);
+    rng = createRandom(SEED);
+  });
+
+  async function travel(seconds) {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+  }
+
+  async function property(name, check) {
+    for (let i = 0; i < CASES; i++) {
+      const snapshot = await network.provider.send("evm_snapshot");
+      try {
+        await check(i);
+      } catch (error) {
+        error.message = `${name}: case ${i} failed (PROPERTY_SEED=${SEED}): ${error.message}`;
+        throw error;
+      } finally {
+        await network.provider.send("evm_revert", [snapshot]);
+      }
+    }
+  }
+
+  it("points at the asset and share token and advertises the async redeem interfaces", async function () {
+    expect(await teller.asset()).to.equal(usde.target);
+    expect(await teller.share()).to.equal(vault.target);
+    expect(await teller.totalAssets()).to.equal(await vault.totalAssets());
+    for (const id of ["0x01ffc9a7", "0xe3bc4e65", "0x620ee8e4", "0x2f0a18c5"]) {
+      expect(await teller.supportsInterface(id)).to.equal(true);
+    }
+    expect(await teller.supportsInterface("0xce3bbe50")).to.equal(false);
+    await expect(teller.previewRedeem(1n)).to.be.revertedWithCustomError(teller, "AsyncRedeem");
+    await expect(teller.previewWithdraw(1n)).to.be.revertedWithCustomError(teller, "AsyncRedeem");
+  });
+
+  it("rounds both conversions down", async function () {
+    await property("convert rounding", async () => {
+      const assets = rng.amount(units(50000));
+      const shares = rng.amount(units(50000));
+      expect(await teller.convertToAssets(await teller.convertToShares(assets))).to.be.lte(assets);
+      expect(await teller.convertToShares(await teller.convertToAssets(shares))).to.be.lte(shares);
+      expect(await teller.previewMint(shares)).to.be.gte(await teller.convertToAssets(shares));
+    });
+  });
+
+  it("never mints fewer shares than previewDeposit promised", async function () {
+    await property("previewDeposit", async () => {
+      await travel(Math.floor(rng.next() * 30 * DAY));
+      const assets = rng.amount(units(5000)) + 1000n;
+      const previewed = await teller.previewDeposit(assets);
+
+      const before = await vault.balanceOf(alice.address);
+      await expect(teller.connect(alice).deposit(assets, alice.address))
+        .to.emit(teller, "Deposit")
+        .withArgs(alice.address, alice.address, assets, anyValue);
+      expect((await vault.balanceOf(alice.address)) - before).to.be.gte(previewed);
+    });
+  });
+
+  it("never pulls more assets than previewMint quoted, and mints exactly the shares asked for", async function () {
+    await property("previewMint", async () => {
+      await travel(Math.floor(rng.next() * 30 * DAY));
+      const shares = rng.amount(units(5000));
+      const quoted = await teller.previewMint(shares);
+
+      const assetsBefore = await usde.balanceOf(alice.address);
+      const sharesBefore = await vault.balanceOf(alice.address);
+      await (await teller.connect(alice).mint(shares, alice.address)).wait();
+
+      expect(assetsBefore - (await usde.balanceOf(alice.address))).to.be.lte(quoted);
+      expect((await vault.balanceOf(alice.address)) - sharesBefore).to.equal(shares);
+    });
+  });
+
+  it("accepts exactly maxDeposit and maxMint under random caps and rejects one wei more", async function () {
+    await property("maxDeposit", async () => {
+      const tvl = await vault.totalAssets();
+      await (await teller.setDepositCap(tvl + rng.amount(units(5000)) + 1n)).wait();
+      if (rng.next() < 0.5) await (await teller.setAccountCap(rng.amount(units(3000)) + 1n)).wait();
+
+      const max = await teller.maxDeposit(alice.address);
+      const maxShares = await teller.maxMint(alice.address);
+      expect(await teller.previewMint(maxShares)).to.be.lte(max);
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      if (maxShares > 0n) await (await teller.connect(alice).mint(maxShares, alice.address)).wait();
+      await network.provider.send("evm_revert", [snapshot]);
+
+      const over = await teller
+        .connect(alice)
+        .deposit(max + 1n, alice.address)
+        .then(() => null, (error) => decodeRevert(error));
+      expect(over && over.name).to.be.oneOf(["DepositCapExceeded", "AccountCapExceeded"]);
+      if (max > 0n) await (await teller.connect(alice).deposit(max, alice.address)).wait();
+    });
+  });
+
+  it("reports zero maxDeposit and maxMint while deposits are paused or the receiver is off the allowlist", async function () {
+    expect(await teller.maxDeposit(alice.address)).to.equal(ethers.MaxUint256);
+    expect(await teller.maxMint(alice.address)).to.equal(ethers.MaxUint256);
+
+    await (await teller.setAllowlistEnabled(true)).wait();
+    expect(await teller.maxDeposit(alice.address)).to.equal(0n);
+    await (await teller.setDepositorAllowed(alice.address, true)).wait();
+    expect(await teller.maxDeposit(alice.address)).to.equal(ethers.MaxUint256);
+
+    await (await teller.setDepositsPaused(true)).wait();
+    expect(await teller.maxDeposit(alice.address)).to.equal(0n);
+    expect(await teller.maxMint(alice.address)).to.equal(0n);
+    await expect(teller.connect(alice).mint(1n, alice.address)).to.be.revertedWithCustomError(teller, "DepositsPaused");
+  });
+
+  it("moves requests from pending to claimable after the delay and only lets maxRedeem out", async function () {
+    const shares = await vault.balanceOf(bob.address);
+    const requested = shares / 3n;
+    const tx = teller.connect(bob).requestRedeem(requested, bob.address, bob.address);
+    await expect(tx).to.emit(teller, "RedeemRequest").withArgs(bob.address, bob.address, 1n, bob.address, requested);
+
+    expect(await teller.pendingRedeemRequest(1n, bob.address)).to.equal(requested);
+    expect(await teller.claimableRedeemRequest(1n, bob.address)).to.equal(0n);
+    expect(await teller.maxRedeem(bob.address)).to.equal(0n);
+    await expect(teller.connect(bob).redeem(1n, bob.address, bob.address))
+      .to.be.revertedWithCustomError(teller, "ExceedsClaimable")
+      .withArgs(1n, 0n);
+
+    await travel(3 * DAY);
+    expect(await teller.pendingRedeemRequest(1n, bob.address)).to.equal(0n);
+    expect(await teller.claimableRedeemRequest(1n, bob.address)).to.equal(requested);
+    expect(await teller.maxRedeem(bob.address)).to.equal(requested);
+    expect(await teller.pendingRedeemRequest(1n, alice.address)).to.equal(0n);
+    await expect(teller.connect(bob).redeem(requested + 1n, bob.address, bob.address))
+      .to.be.revertedWithCustomError(teller, "ExceedsClaimable")
+      .withArgs(requested + 1n, requested);
+  });
+
+  it("redeems round down and withdraws round up against the claim-time price", async function () {
+    // Without fees nothing accrues inside the claim, so the price just before it is the one it uses.
+    await (await vault.setFees(0, 0)).wait();
+    await property("async claim rounding", async () => {
+      const balance = await vault.balanceOf(bob.address);
+      const first = rng.amount(balance / 2n);
+      const second = rng.amount(balance / 2n);
+      await (await teller.connect(bob).requestRedeem(first, bob.address, bob.address)).wait();
+      await (await teller.connect(bob).requestRedeem(second, bob.address, bob.address)).wait();
+      await travel(3 * DAY + Math.floor(rng.next() * 30 * DAY));
+
+      const claimable = await teller.maxRedeem(bob.address);
+      expect(claimable).to.equal(first + second);
+
+      if (rng.next() < 0.5) {
+        const shares = rng.amount(claimable);
+        const before = await usde.balanceOf(erin.address);
+        const expected = await teller.convertToAssets(shares);
+        await (await teller.connect(bob).redeem(shares, erin.address, bob.address)).wait();
+        expect((await usde.balanceOf(erin.address)) - before).to.equal(expected);
+        expect(await teller.maxRedeem(bob.address)).to.equal(claimable - shares);
+      } else {
+        const assets = rng.amount(await teller.maxWithdraw(bob.address));
+        const before = await usde.balanceOf(erin.address);
+        const tellerShares = await vault.balanceOf(teller.target);
+        const floor = await teller.convertToShares(assets);
+        await (await teller.connect(bob).withdraw(assets, erin.address, bob.address)).wait();
+        const burned = tellerShares - (await vault.balanceOf(teller.target));
+        expect((await usde.balanceOf(erin.address)) - before).to.equal(assets);
+        expect(burned).to.be.gte(floor);
+        expect(burned - floor).to.be.lte(1n);
+      }
+      expect(await vault.balanceOf(teller.target)).to.equal(await teller.maxRedeem(bob.address));
+    });
+  });
+
+  it("splits a redeem across requests oldest first and leaves the remainder cancellable", async function () {
+    await (await teller.connect(bob).requestWithdraw(units(30))).wait();
+    await (await teller.connect(bob).requestWithdraw(units(20))).wait();
+    await travel(3 * DAY);
+
+    const tx = teller.connect(bob).redeem(units(40), bob.address, bob.address);
+    await expect(tx).to.emit(teller, "WithdrawClaimed").withArgs(1n, bob.address, bob.address, units(30), anyValue);
+    await expect(tx).to.emit(teller, "WithdrawClaimed").withArgs(2n, bob.address, bob.address, units(10), anyValue);
+    await expect(tx).to.emit(teller, "Withdraw").withArgs(bob.address, bob.address, bob.address, anyValue, units(40));
+
+    expect((await teller.withdrawRequests(1n)).handled).to.equal(true);
+    const open = await teller.withdrawRequests(2n);
+    expect(open.handled).to.equal(false);
+    expect(open.shares).to.equal(units(10));
+
+    await expect(teller.connect(bob).cancelWithdraw(2n))
+      .to.emit(teller, "WithdrawCancelled")
+      .withArgs(2n, bob.address, units(10));
+    expect(await teller.maxRedeem(bob.address)).to.equal(0n);
+  });
+
+  it("lets an approved operator request and claim for a controller but nobody else", async function () {
+    await expect(teller.connect(alice).requestRedeem(units(10), alice.address, bob.address)).to.be.revertedWithCustomError(
+      teller,
+      "NotOperator"
+    );
+    await expect(teller.connect(bob).setOperator(alice.address, true))
+      .to.emit(teller, "OperatorSet")
+      .withArgs(bob.address, alice.address, true);
+    expect(await teller.isOperator(bob.address, alice.address)).to.equal(true);
+
+    await (await teller.connect(alice).requestRedeem(units(10), bob.address, bob.address)).wait();
+    await travel(3 * DAY);
+    await expect(teller.connect(erin).redeem(units(10), erin.address, bob.address)).to.be.revertedWithCustomError(
+      teller,
+      "NotOperator"
+    );
+
+    const before = await usde.balanceOf(alice.address);
+    await (await teller.connect(alice).redeem(units(10), alice.address, bob.address)).wait();
+    expect(await usde.balanceOf(alice.address)).to.be.gt(before);
+  });
+
+  it("stops a third party from queueing requests against someone else's controller", async function () {
+    await (await teller.connect(alice).deposit(units(10), alice.address)).wait();
+    const before = await teller.nextRequestId();
+
+    // Alice owns the shares, but may not push request ids onto Bob's queue.
+    await expect(teller.connect(alice).requestRedeem(1n, bob.address, alice.address)).to.be.revertedWithCustomError(
+      teller,
+      "NotOperator"
+    );
+    expect(await teller.nextRequestId()).to.equal(before);
+
+    // Once Bob approves her as his operator she may request for him.
+    await (await teller.connect(bob).setOperator(alice.address, true)).wait();
+    await (await teller.connect(alice).requestRedeem(units(1), bob.address, alice.address)).wait();
+    expect(await teller.pendingRedeemRequest(before + 1n, bob.address)).to.equal(units(1));
+  });
+});
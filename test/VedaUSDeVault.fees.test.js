@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { network } = require("hardhat");
+const { namedActors, units } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+const { pricePerShare, simulateYield } = require("../scripts/lib/price");
+const { feeReport } = require("../scripts/lib/fees");
+
+const DAY = 24 * 60 * 60;
+const YEAR = 365 * DAY;
+
+describe("Veda USDe Vault fees", function () {
+  let c;
+  let vault;
+  let teller;
+  let alice;
+  let bob;
+  let erin;
+
+  beforeEach(async function () {
+    c = await deployStack(await namedActors(), {
+      mints: [
+        { to: "alice", amount: "1000" },
+        { to: "bob", amount: "1000" }
+      ],
+      fees: { recipient: "erin", managementBps: 200, performanceBps: 2000 }
+    });
+    ({ vault, teller } = c);
+    ({ alice, bob, erin } = c.actors);
+    await (await c.usde.connect(alice).approve(teller.target, units(1000))).wait();
+    await (await teller.connect(alice).deposit(units(1000), alice.address)).wait();
+  });
+
+  async function travel(seconds) {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+  }
+
+  // The next transaction lands one second after the current block; fee maths uses the exact elapsed time.
+  async function elapsedSinceAccrual() {
+    const block = await network.provider.send("eth_getBlockByNumber", ["latest", false]);
+    return BigInt(Number(block.timestamp) + 1) - (await vault.lastFeeAccrual());
+  }
+
+  function managementFee(assets, bps, seconds) {
+    return (assets * BigInt(bps) * seconds) / (10_000n * BigInt(YEAR));
+  }
+
+  it("accrues the annual management fee over 365 days as shares worth 2% of assets", async function () {
+    await travel(YEAR);
+    const expected = managementFee(units(1000), 200, await elapsedSinceAccrual());
+
+    await expect(vault.accrueFees()).to.emit(vault, "FeesAccrued");
+
+    expect(await vault.convertToAssets(await vault.balanceOf(erin.address))).to.be.closeTo(expected, 10n);
+    expect(expected).to.be.closeTo(units(20), units(1) / 1000n);
+    expect(await vault.convertToAssets(await vault.balanceOf(alice.address))).to.be.closeTo(units(980), units(1) / 1000n);
+  });
+
+  it("accrues a pro-rated management fee over 3 days", async function () {
+    await travel(3 * DAY);
+    const expected = managementFee(units(1000), 200, await elapsedSinceAccrual());
+
+    await (await vault.accrueFees()).wait();
+
+    expect(await vault.convertToAssets(await vault.balanceOf(erin.address))).to.be.closeTo(expected, 10n);
+    expect(expected).to.be.closeTo((units(1000) * 200n * 3n) / (10_000n * 365n), units(1) / 1000n);
+  });
+
+  it("prices pending fees in before they are minted", async function () {
+    await travel(YEAR);
+    const before = await pricePerShare(c);
+
+    await (await vault.accrueFees()).wait();
+
+    expect(await pricePerShare(c)).to.be.closeTo(before, 10n ** 9n);
+    expect(before).to.be.closeTo(units("0.98"), units(1) / 1000n);
+  });
+
+  it("does not charge later depositors for fees owed before they joined", async function () {
+    await travel(YEAR);
+    await (await c.usde.connect(bob).approve(teller.target, units(500))).wait();
+    await (await teller.connect(bob).deposit(units(500), bob.address)).wait();
+
+    expect(await vault.convertToAssets(await vault.balanceOf(bob.address))).to.be.closeTo(units(500), 10n);
+  });
+
+  it("charges the performance fee only on gains above the high-water mark", async function () {
+    await (await vault.setFees(0, 2000)).wait();
+    await simulateYield(c, units(100));
+    await (await vault.accrueFees()).wait();
+
+    // setFees accrued a few seconds of the old management fee first.
+    expect(await vault.convertToAssets(await vault.balanceOf(erin.address))).to.be.closeTo(units(20), units(1) / 1000n);
+    const mark = await vault.highWaterMark();
+    expect(mark).to.be.closeTo(units("1.08"), units(1) / 1000n);
+
+    // A loss and a recovery back to the mark earn nothing.
+    await (await c.authority.setManager(c.actors.manager.address, true)).wait();
+    const loss = c.usde.interface.encodeFunctionData("transfer", [c.actors.receiver.address, units(54)]);
+    await (await vault.connect(c.actors.manager).managerCall(c.usde.target, 0, loss)).wait();
+    await (await vault.accrueFees()).wait();
+    await simulateYield(c, units(54));
+    const [, performance] = await vault.previewFees();
+    expect(performance).to.be.lessThan(10n);
+    expect(await vault.highWaterMark()).to.equal(mark);
+  });
+
+  it("reports fees per period", async function () {
+    await travel(3 * DAY);
+    await (await vault.accrueFees()).wait();
+    await travel(YEAR);
+    await (await vault.accrueFees()).wait();
+
+    const report = await feeReport(c, { period: "day" });
+    expect(report.periods).to.have.length(2);
+    expect(Number(report.periods[1].management)).to.be.closeTo(20, 0.01);
+    expect(Number(report.totals.total)).to.be.closeTo(
+      Number(report.periods[0].total) + Number(report.periods[1].total),
+      1e-9
+    );
+    expect(report.status).to.include({ recipient: "erin", managementBps: 200, performanceBps: 2000 });
+  });
+
+  it("guards fee settings", async function () {
+    await expect(vault.connect(alice).setFees(100, 100)).to.be.revertedWithCustomError(vault, "NotOwner");
+    await expect(vault.connect(alice).setFeeRecipient(alice.address)).to.be.revertedWithCustomError(vault, "NotOwner");
+    await expect(vault.setFees(501, 0)).to.be.revertedWithCustomError(vault, "FeeTooHigh");
+    await expect(vault.setFees(0, 5001)).to.be.revertedWithCustomError(vault, "FeeTooHigh");
+
+    await (await vault.setFeeRecipient("0x0000000000000000000000000000000000000000")).wait();
+    await travel(YEAR);
+    expect((await vault.previewFees())[2]).to.equal(0n);
+  });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers, network } = require("hardhat");
+const { namedActors } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
 
 describe("Veda USDe Vault full flow", function () {
   const THREE_DAYS = 3 * 24 * 60 * 60;
@@ -19,35 +21,14 @@ describe("Veda USDe Vault full flow", function () {
   let strategy;
 
   beforeEach(async function () {
-    [deployer, alice, bob, managerA, managerB, receiver] = await ethers.getSigners();
-
-    const MockUSDe = await ethers.getContractFactory("MockUSDe");
-    usde = await MockUSDe.deploy(deployer.address);
-
-    const SimpleManagerAuthority = await ethers.getContractFactory("SimpleManagerAuthority");
-    authority = await SimpleManagerAuthority.deploy(deployer.address);
-
-    const ManagerRegistry = await ethers.getContractFactory("ManagerRegistry");
-    registry = await ManagerRegistry.deploy(deployer.address, authority.target);
-
-    const USDeBoringVault = await ethers.getContractFactory("USDeBoringVault");
-    vault = await USDeBoringVault.deploy(
-      deployer.address,
-      usde.target,
-      registry.target,
-      "Veda USDe Vault Share",
-      "vUSDe"
-    );
-
-    const TellerWith3DayQueue = await ethers.getContractFactory("TellerWith3DayQueue");
-    teller = await TellerWith3DayQueue.deploy(vault.target);
-    await vault.setTeller(teller.target);
-
-    const MockStrategyTarget = await ethers.getContractFactory("MockStrategyTarget");
-    strategy = await MockStrategyTarget.deploy();
-
-    await usde.mint(alice.address, ethers.parseUnits("1000", 18));
-    await usde.mint(bob.address, ethers.parseUnits("1000", 18));
+    const c = await deployStack(await namedActors(), {
+      mints: [
+        { to: "alice", amount: "1000" },
+        { to: "bob", amount: "1000" }
+      ]
+    });
+    ({ usde, authority, registry, vault, teller, strategy } = c);
+    ({ deployer, alice, bob, receiver, manager: managerA, carol: managerB } = c.actors);
   });
 
   it("runs complete lifecycle: deposit, manager action, 3-day queue claim, manager revoke", async function () {
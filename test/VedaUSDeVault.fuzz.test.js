@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { createHarness, generateSequence, runSequence, fuzz } = require("../scripts/lib/fuzz");
+
+const SEED = Number(process.env.FUZZ_SEED || 20);
+
+describe("Veda USDe Vault invariant fuzzer", function () {
+  let h;
+
+  before(async function () {
+    h = await createHarness();
+  });
+
+  it("holds every invariant over seeded random multi-actor sequences", async function () {
+    const result = await fuzz({ harness: h, seed: SEED, runs: 4, steps: 40 });
+
+    expect(result.ok, result.violation && result.violation.message).to.equal(true);
+    expect(result.stats.steps).to.equal(160);
+  });
+
+  it("reaches claims, cancels and premature claims that revert", async function () {
+    const seen = new Set();
+    for (let seed = SEED; seed < SEED + 4; seed++) {
+      const sequence = generateSequence(seed, 40);
+      const { outcomes } = await runSequence(h, sequence);
+      sequence.forEach((action, i) => seen.add(`${action.type}:${outcomes[i].reason || outcomes[i].status}`));
+    }
+
+    expect(seen).to.include("claimWithdraw:ok");
+    expect(seen).to.include("cancelWithdraw:ok");
+    expect(seen).to.include("claimWithdraw:reverted with RequestNotMatured()");
+    expect(seen).to.include("claimWithdraw:reverted with RequestHandled()");
+  });
+
+  it("replays a seed to identical outcomes", async function () {
+    const sequence = generateSequence(SEED, 40);
+    const first = await runSequence(h, sequence);
+    const second = await runSequence(h, sequence);
+
+    expect(second.outcomes.map((o) => [o.status, o.reason])).to.deep.equal(first.outcomes.map((o) => [o.status, o.reason]));
+  });
+
+  it("shrinks a failing run to the minimal sequence that still breaks the invariant", async function () {
+    const noCancels = {
+      name: "noCancels",
+      check: async (c, model, action, outcome) =>
+        action.type === "cancelWithdraw" && outcome.status === "ok" ? `${action.actor} cancelled a request` : null
+    };
+
+    const result = await fuzz({ harness: h, seed: SEED, runs: 4, steps: 40, invariants: [noCancels] });
+
+    expect(result.ok).to.equal(false);
+    expect(result.violation.invariant).to.equal("noCancels");
+    expect(result.sequence.map((action) => action.type)).to.deep.equal(["deposit", "requestWithdraw", "cancelWithdraw"]);
+    expect(new Set(result.sequence.map((action) => action.actor)).size).to.equal(1);
+    expect(result.originalLength).to.be.gt(3);
+  });
+
+  it("flags shares sent straight to the teller as a queue mismatch", async function () {
+    const sequence = [
+      { type: "deposit", actor: "alice", permille: 500 },
+      { type: "transfer", actor: "alice", to: "teller", permille: 100 }
+    ];
+
+    const result = await runSequence(h, sequence);
+
+    expect(result.failedAt).to.equal(1);
+    expect(result.violation.invariant).to.equal("queue");
+  });
+});
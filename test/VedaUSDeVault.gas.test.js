@@ -0,0 +1,39 @@
+const { expect } = require("chai");
+const { measureGas, readBaseline, compareToBaseline, markdownReport, buildReport } = require("../scripts/lib/gas");
+
+describe("Veda USDe Vault gas benchmark", function () {
+  const rows = [
+    { id: "deposit.first", operation: "deposit", conditions: "first", gasUsed: 105_000 },
+    { id: "claimWithdraw", operation: "claimWithdraw", conditions: "matured", gasUsed: 90_000 },
+    { id: "syncManagers.10", operation: "syncManagers", conditions: "10", gasUsed: 250_000, perManager: 25_000 }
+  ];
+  const baseline = { operations: { "deposit.first": 100_000, "claimWithdraw": 100_000, "cancelWithdraw": 50_000 } };
+
+  it("flags operations above the threshold and reports new and missing ones", function () {
+    const comparison = compareToBaseline(rows, baseline, 4);
+
+    expect(comparison.operations.map((row) => row.status)).to.deep.equal(["regressed", "improved", "new"]);
+    expect(comparison.operations[0]).to.include({ baseline: 100_000, delta: 5_000, deltaPct: 5 });
+    expect(comparison.missing).to.deep.equal(["cancelWithdraw"]);
+    expect(comparison.regressions).to.equal(1);
+    expect(compareToBaseline(rows, baseline, 5).regressions).to.equal(0);
+  });
+
+  it("renders the comparison as a Markdown table", function () {
+    const markdown = markdownReport(buildReport(compareToBaseline(rows, baseline, 4)));
+
+    expect(markdown).to.contain("| `deposit.first` | first | 105000 | 100000 | +5000 (+5%) | regressed |");
+    expect(markdown).to.contain("250000 (25000 per manager)");
+    expect(markdown).to.contain("Baseline entries not measured any more: `cancelWithdraw`.");
+    expect(markdown).to.contain("**1 operation(s) regressed.**");
+  });
+
+  it("measures every baselined operation within the committed threshold", async function () {
+    const measured = await measureGas();
+    const comparison = compareToBaseline(measured, readBaseline());
+
+    expect(comparison.missing).to.deep.equal([]);
+    const regressed = comparison.operations.filter((row) => row.status === "regressed" || row.status === "new");
+    expect(regressed, JSON.stringify(regressed)).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { namedActors, units } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+const { encodeCall, sendManagerCall } = require("../scripts/lib/manager-call");
+const { CSV_COLUMNS, buildLedger, reconcileLedger, historyCsv, reconcile } = require("../scripts/lib/ledger");
+
+const DAY = 24 * 60 * 60;
+
+describe("Veda USDe Vault ledger reconciliation", function () {
+  let c;
+  let vault;
+  let teller;
+  let alice;
+  let bob;
+  let manager;
+  let receiver;
+  let midBlock;
+
+  before(async function () {
+    c = await deployStack(await namedActors(), {
+      mints: [
+        { to: "alice", amount: "1000" },
+        { to: "bob", amount: "1000" }
+      ]
+    });
+    ({ vault, teller } = c);
+    ({ alice, bob, manager, receiver } = c.actors);
+    for (const signer of [alice, bob]) {
+      await (await c.usde.connect(signer).approve(teller.target, ethers.MaxUint256)).wait();
+      await (await vault.connect(signer).approve(teller.target, ethers.MaxUint256)).wait();
+    }
+
+    await (await teller.connect(alice).deposit(units(300), alice.address)).wait();
+    await (await teller.connect(bob).deposit(units(100), bob.address)).wait();
+    await (await vault.connect(alice).transfer(bob.address, units(50))).wait();
+    midBlock = await ethers.provider.getBlockNumber();
+
+    await (await teller.connect(alice).requestWithdraw(units(100))).wait();
+    await (await teller.connect(alice).requestWithdraw(units(40))).wait();
+    await (await teller.connect(bob).requestWithdraw(units(60))).wait();
+    await (await teller.connect(bob).cancelWithdraw(3)).wait();
+    await network.provider.send("evm_increaseTime", [3 * DAY]);
+    await network.provider.send("evm_mine");
+    await (await teller.connect(alice).claimWithdraw(1, receiver.address)).wait();
+    await (await teller.connect(alice).redeem(units(10), alice.address, alice.address)).wait();
+
+    await (await c.authority.setManager(manager.address, true)).wait();
+    const call = encodeCall(c, "transfer(address,uint256)", [receiver.address, units(5)]);
+    await sendManagerCall(c, manager, c.usde.target, 0n, call.data);
+  });
+
+  function accountOf(report, name) {
+    return report.accounts.find((row) => row.name === name);
+  }
+
+  it("rebuilds shares, queued shares and realized assets and reconciles them with the chain", async function () {
+    const report = await reconcile(c);
+
+    expect(report.reconciled, JSON.stringify(report.mismatches)).to.equal(true);
+    expect(accountOf(report, "alice")).to.include({
+      shares: "110.0",
+      queued: "30.0",
+      deposited: "300.0",
+      realized: "110.0",
+      received: "10.0"
+    });
+    expect(accountOf(report, "bob")).to.include({ shares: "150.0", queued: "0.0", deposited: "100.0" });
+    expect(accountOf(report, "teller")).to.include({ shares: "30.0" });
+    expect(accountOf(report, "receiver")).to.include({ received: "100.0" });
+    expect(accountOf(report, "manager")).to.include({ managerCalls: 1 });
+    expect(report.history.map((row) => row.event)).to.include.members(["WithdrawCancelled", "ManagerCall"]);
+  });
+
+  it("keeps opening positions when exporting a later block range", async function () {
+    const report = await reconcile(c, { fromBlock: midBlock + 1 });
+
+    expect(report.reconciled).to.equal(true);
+    expect(report.history.every((row) => row.block > midBlock)).to.equal(true);
+    expect(report.history.some((row) => row.event === "Deposited")).to.equal(false);
+    expect(accountOf(report, "alice").shares).to.equal("110.0");
+
+    const early = await reconcile(c, { toBlock: midBlock });
+    expect(early.reconciled).to.equal(true);
+    expect(accountOf(early, "alice")).to.include({ shares: "250.0", queued: "0.0" });
+  });
+
+  it("flags replayed positions that disagree with balanceOf and withdrawRequests", async function () {
+    const ledger = await buildLedger(c);
+    ledger.accounts.get(alice.address).shares += 1n;
+    ledger.requests.get(2).open -= 1n;
+
+    const mismatches = await reconcileLedger(c, ledger);
+
+    expect(mismatches.map((m) => `${m.subject}:${m.field}`)).to.deep.equal([
+      `${alice.address}:shares`,
+      "vault:totalSupply",
+      "request #2:shares"
+    ]);
+    expect(mismatches[0].chain).to.equal(units(110));
+  });
+
+  it("exports one CSV row per history entry", async function () {
+    const report = await reconcile(c);
+    const lines = historyCsv(report).trim().split("\n");
+
+    expect(lines[0]).to.equal(CSV_COLUMNS.join(","));
+    expect(lines).to.have.length(report.history.length + 1);
+    const claim = lines.find((line) => line.includes(",WithdrawClaimed,") && line.includes(",1,"));
+    expect(claim).to.contain(",alice,");
+    expect(claim).to.contain(",-100.0,100.0");
+  });
+});
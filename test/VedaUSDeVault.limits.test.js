@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { network } = require("hardhat");
+const { namedActors, units } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+
+describe("Veda USDe Vault teller limits", function () {
+  let c;
+  let teller;
+  let alice;
+  let bob;
+
+  beforeEach(async function () {
+    c = await deployStack(await namedActors(), {
+      mints: [
+        { to: "alice", amount: "1000" },
+        { to: "bob", amount: "1000" }
+      ]
+    });
+    ({ teller } = c);
+    ({ alice, bob } = c.actors);
+    for (const user of [alice, bob]) {
+      await (await c.usde.connect(user).approve(teller.target, units(1000))).wait();
+      await (await c.vault.connect(user).approve(teller.target, units(1000))).wait();
+    }
+  });
+
+  function deposit(user, amount, receiver = user) {
+    return teller.connect(user).deposit(units(amount), receiver.address);
+  }
+
+  it("rejects deposits above the global TVL cap", async function () {
+    await expect(teller.setDepositCap(units(150))).to.emit(teller, "DepositCapUpdated").withArgs(units(150));
+    await (await deposit(alice, 100)).wait();
+
+    await expect(deposit(bob, 60))
+      .to.be.revertedWithCustomError(teller, "DepositCapExceeded")
+      .withArgs(units(60), units(50));
+    await (await deposit(bob, 50)).wait();
+    await expect(deposit(bob, 1)).to.be.revertedWithCustomError(teller, "DepositCapExceeded").withArgs(units(1), 0);
+
+    await (await teller.setDepositCap(0)).wait();
+    await (await deposit(bob, 1)).wait();
+  });
+
+  it("rejects deposits that push one account above the per-account cap", async function () {
+    await expect(teller.setAccountCap(units(100))).to.emit(teller, "AccountCapUpdated").withArgs(units(100));
+    await (await deposit(alice, 80)).wait();
+
+    await expect(deposit(alice, 30))
+      .to.be.revertedWithCustomError(teller, "AccountCapExceeded")
+      .withArgs(alice.address, units(30), units(20));
+    await expect(deposit(bob, 30, alice))
+      .to.be.revertedWithCustomError(teller, "AccountCapExceeded")
+      .withArgs(alice.address, units(30), units(20));
+    await (await deposit(bob, 100)).wait();
+  });
+
+  it("pauses deposits without pausing withdraw requests", async function () {
+    await (await deposit(alice, 100)).wait();
+    await expect(teller.setDepositsPaused(true)).to.emit(teller, "DepositsPauseUpdated").withArgs(true);
+
+    await expect(deposit(alice, 1)).to.be.revertedWithCustomError(teller, "DepositsPaused");
+    await (await teller.connect(alice).requestWithdraw(units(10))).wait();
+
+    await (await teller.setDepositsPaused(false)).wait();
+    await (await deposit(alice, 1)).wait();
+  });
+
+  it("pauses withdraw requests without blocking deposits, cancels or claims", async function () {
+    await (await deposit(alice, 100)).wait();
+    await (await teller.connect(alice).requestWithdraw(units(10))).wait();
+    await (await teller.connect(alice).requestWithdraw(units(10))).wait();
+    await expect(teller.setWithdrawRequestsPaused(true))
+      .to.emit(teller, "WithdrawRequestsPauseUpdated")
+      .withArgs(true);
+
+    await expect(teller.connect(alice).requestWithdraw(units(10))).to.be.revertedWithCustomError(
+      teller,
+      "WithdrawRequestsPaused"
+    );
+    await (await deposit(alice, 10)).wait();
+    await (await teller.connect(alice).cancelWithdraw(2)).wait();
+    await network.provider.send("evm_increaseTime", [3 * 24 * 60 * 60]);
+    await network.provider.send("evm_mine");
+    await (await teller.connect(alice).claimWithdraw(1, alice.address)).wait();
+  });
+
+  it("limits deposits to allowlisted depositors while the allowlist is on", async function () {
+    await expect(teller.setAllowlistEnabled(true)).to.emit(teller, "AllowlistUpdated").withArgs(true);
+    await expect(teller.setDepositorAllowed(alice.address, true))
+      .to.emit(teller, "DepositorAllowed")
+      .withArgs(alice.address, true);
+
+    // The allowlist is keyed on the receiver, as maxDeposit(receiver) reports it.
+    await (await deposit(bob, 10, alice)).wait();
+    await expect(deposit(alice, 10, bob))
+      .to.be.revertedWithCustomError(teller, "DepositorNotAllowed")
+      .withArgs(bob.address);
+    expect(await teller.maxDeposit(bob.address)).to.equal(0n);
+    await expect(deposit(bob, 10))
+      .to.be.revertedWithCustomError(teller, "DepositorNotAllowed")
+      .withArgs(bob.address);
+
+    await (await teller.setDepositorAllowed(alice.address, false)).wait();
+    await expect(deposit(alice, 10)).to.be.revertedWithCustomError(teller, "DepositorNotAllowed");
+
+    await (await teller.setAllowlistEnabled(false)).wait();
+    await (await deposit(bob, 10)).wait();
+  });
+
+  it("lets only the owner change limits", async function () {
+    const calls = [
+      (t) => t.setDepositCap(1),
+      (t) => t.setAccountCap(1),
+      (t) => t.setDepositsPaused(true),
+      (t) => t.setWithdrawRequestsPaused(true),
+      (t) => t.setAllowlistEnabled(true),
+      (t) => t.setDepositorAllowed(alice.address, true)
+    ];
+    for (const call of calls) {
+      await expect(call(teller.connect(alice))).to.be.revertedWithCustomError(teller, "NotOwner");
+    }
+    expect(await teller.owner()).to.equal(c.actors.deployer.address);
+  });
+});
@@ -0,0 +1,141 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { namedActors, units } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+const { InputError, NotFoundError, decodeRevert } = require("../scripts/lib/errors");
+const { findPolicyLeaf, sendManagerCall } = require("../scripts/lib/manager-call");
+const { loadPolicy, hashLeaf, buildTree, proofFor, buildPolicy, applyPolicy } = require("../scripts/lib/manage-policy");
+
+function verifyProof(proof, root, leaf) {
+  const computed = proof.reduce((node, sibling) => {
+    const [low, high] = node.toLowerCase() < sibling.toLowerCase() ? [node, sibling] : [sibling, node];
+    return ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [low, high]);
+  }, leaf);
+  return computed === root;
+}
+
+describe("Veda USDe Vault manage policy", function () {
+  let c;
+  let vault;
+  let manager;
+  let tree;
+
+  beforeEach(async function () {
+    c = await deployStack(await namedActors(), { mints: [{ to: "alice", amount: "1000" }] });
+    ({ vault } = c);
+    ({ manager } = c.actors);
+
+    await (await c.usde.connect(c.actors.alice).approve(c.teller.target, units(100))).wait();
+    await (await c.teller.connect(c.actors.alice).deposit(units(100), c.actors.alice.address)).wait();
+    await (await c.authority.setManager(manager.address, true)).wait();
+    tree = await applyPolicy(c, loadPolicy("demo-strategy"));
+  });
+
+  function transferData(to, amount) {
+    return c.usde.interface.encodeFunctionData("transfer", [to, amount]);
+  }
+
+  it("builds proofs that verify against the root for any leaf count", function () {
+    for (const count of [1, 2, 3, 5, 8]) {
+      const hashes = Array.from({ length: count }, (_, i) => hashLeaf(c.strategy.target, "0x55241077", i % 2 === 1, [
+        { index: 0, value: ethers.zeroPadValue(ethers.toBeHex(i), 32) }
+      ]));
+      const layers = buildTree(hashes);
+      const root = layers[layers.length - 1][0];
+      hashes.forEach((hash, i) => expect(verifyProof(proofFor(layers, i), root, hash)).to.equal(true));
+    }
+  });
+
+  it("matches the vault's leaf hashing", async function () {
+    const leaf = tree.leaves.find((entry) => entry.constraints.length);
+    expect(await vault.manageLeaf(leaf.target, leaf.selector, leaf.valueNonZero, leaf.constraints)).to.equal(leaf.hash);
+    expect(await vault.manageRoot()).to.equal(tree.root);
+  });
+
+  it("allows calls covered by a leaf and its argument constraints", async function () {
+    const setValue = c.strategy.interface.encodeFunctionData("setValue", [77]);
+    await sendManagerCall(c, manager, c.strategy.target, 0, setValue);
+    expect(await c.strategy.value()).to.equal(77n);
+
+    const leaf = findPolicyLeaf(tree, c.usde.target, 0, transferData(c.actors.receiver.address, units(10)));
+    await expect(
+      vault.connect(manager).managerCallWithProof(c.usde.target, 0, transferData(c.actors.receiver.address, units(10)), leaf.constraints, leaf.proof)
+    ).to.emit(vault, "ManagerCall");
+    expect(await c.usde.balanceOf(c.actors.receiver.address)).to.equal(units(10));
+  });
+
+  it("rejects selectors and targets outside the policy with CallNotAllowed", async function () {
+    const approve = c.usde.interface.encodeFunctionData("approve", [manager.address, 1]);
+    const selector = approve.slice(0, 10);
+    await expect(vault.connect(manager).managerCallWithProof(c.usde.target, 0, approve, [], []))
+      .to.be.revertedWithCustomError(vault, "CallNotAllowed")
+      .withArgs(c.usde.target, selector);
+
+    const leaf = tree.leaves.find((entry) => !entry.constraints.length);
+    const setValue = c.strategy.interface.encodeFunctionData("setValue", [1]);
+    await expect(vault.connect(manager).managerCallWithProof(c.registry.target, 0, setValue, [], leaf.proof))
+      .to.be.revertedWithCustomError(vault, "CallNotAllowed");
+
+    await expect(vault.connect(manager).managerCallWithProof(c.strategy.target, 1, setValue, [], leaf.proof))
+      .to.be.revertedWithCustomError(vault, "CallNotAllowed");
+  });
+
+  it("rejects a valid leaf whose argument constraint the calldata breaks", async function () {
+    const leaf = tree.leaves.find((entry) => entry.constraints.length);
+    const data = transferData(c.actors.bob.address, units(10));
+
+    await expect(vault.connect(manager).managerCallWithProof(c.usde.target, 0, data, leaf.constraints, leaf.proof))
+      .to.be.revertedWithCustomError(vault, "ArgumentNotAllowed")
+      .withArgs(0, leaf.constraints[0].value, ethers.zeroPadValue(c.actors.bob.address, 32));
+    expect(findPolicyLeaf(tree, c.usde.target, 0, data)).to.equal(null);
+  });
+
+  it("surfaces policy rejections as decodable reverts through the JS helper", async function () {
+    const error = await sendManagerCall(c, manager, c.usde.target, 0, transferData(c.actors.bob.address, 1)).catch((e) => e);
+    expect(decodeRevert(error)).to.include({ name: "CallNotAllowed" });
+    expect(decodeRevert(error).args).to.deep.equal({ target: c.usde.target, selector: "0xa9059cbb" });
+  });
+
+  it("requires proofs while a root is set and lets only the owner change it", async function () {
+    const setValue = c.strategy.interface.encodeFunctionData("setValue", [5]);
+    await expect(vault.connect(manager).managerCall(c.strategy.target, 0, setValue)).to.be.revertedWithCustomError(
+      vault,
+      "ManageProofRequired"
+    );
+    await expect(vault.connect(manager).setManageRoot(ethers.ZeroHash)).to.be.revertedWithCustomError(vault, "NotOwner");
+
+    await expect(vault.setManageRoot(ethers.ZeroHash)).to.emit(vault, "ManageRootUpdated").withArgs(tree.root, ethers.ZeroHash);
+    await vault.connect(manager).managerCall(c.usde.target, 0, transferData(c.actors.bob.address, 1));
+    expect(await c.usde.balanceOf(c.actors.bob.address)).to.equal(1n);
+  });
+
+  it("expands allowValue leaves and rejects constraints on non-word arguments", function () {
+    const withValue = buildPolicy(c, {
+      leaves: [{ target: "strategy", signature: "setValue(uint256)", allowValue: true }]
+    });
+    expect(withValue.leaves.map((leaf) => leaf.valueNonZero)).to.deep.equal([false, true]);
+
+    expect(() =>
+      buildPolicy(c, { leaves: [{ target: "vault", signature: "managerCall(address,uint256,bytes)", args: [null, null, "0x"] }] })
+    ).to.throw(/single ABI word/);
+  });
+
+  it("loads policies by name unless the caller allows file paths", function () {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "veda-policy-"));
+    try {
+      const file = path.join(tmpDir, "custom.json");
+      fs.writeFileSync(file, JSON.stringify({ leaves: [{ target: "strategy", signature: "setValue(uint256)" }] }));
+      expect(() => loadPolicy(file)).to.throw(InputError, "Invalid policy name");
+      expect(loadPolicy(file, { allowFiles: true }).name).to.equal("custom");
+      expect(() => loadPolicy("missing-policy")).to.throw(NotFoundError);
+
+      fs.writeFileSync(file, "root:x:0:0");
+      expect(() => loadPolicy(file, { allowFiles: true })).to.throw(InputError, "custom.json is not valid JSON.");
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
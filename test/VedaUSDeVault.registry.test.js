@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { namedActors, units } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+const { managerDrift, createManagerKeeper } = require("../scripts/lib/manager-sync");
+
+describe("Veda USDe Vault manager registry modes", function () {
+  let c;
+  let keeper;
+  let setValue;
+
+  beforeEach(async function () {
+    c = await deployStack(await namedActors());
+    keeper = createManagerKeeper(c);
+    setValue = c.strategy.interface.encodeFunctionData("setValue", [1]);
+    await (await c.usde.mint(c.vault.target, units(100))).wait();
+  });
+
+  async function blockNumber() {
+    return ethers.provider.getBlockNumber();
+  }
+
+  // Blocks between the authority revoking `manager` and the vault first rejecting it.
+  async function revocationLatency(beforeRejected) {
+    const { manager } = c.actors;
+    await (await c.authority.setManager(manager.address, false)).wait();
+    const revokedAt = await blockNumber();
+
+    await beforeRejected();
+    const latency = (await blockNumber()) - revokedAt;
+    await expect(c.vault.connect(manager).managerCall(c.strategy.target, 0, setValue)).to.be.revertedWithCustomError(
+      c.vault,
+      "NotManager"
+    );
+    return latency;
+  }
+
+  it("revokes managers in the same block in live mode", async function () {
+    await (await c.authority.setManager(c.actors.manager.address, true)).wait();
+
+    const latency = await revocationLatency(async () => {});
+
+    expect(latency).to.equal(0);
+    expect(await c.registry.useCache()).to.equal(false);
+  });
+
+  it("keeps revoked managers active in cached mode until the keeper syncs", async function () {
+    const { manager } = c.actors;
+    await expect(c.registry.setCacheMode(true)).to.emit(c.registry, "CacheModeUpdated").withArgs(true);
+    await (await c.authority.setManager(manager.address, true)).wait();
+
+    await expect(c.vault.connect(manager).managerCall(c.strategy.target, 0, setValue)).to.be.revertedWithCustomError(
+      c.vault,
+      "NotManager"
+    );
+    expect((await keeper.poll()).changed).to.deep.equal([manager.address]);
+    await c.vault.connect(manager).managerCall(c.strategy.target, 0, setValue);
+
+    const latency = await revocationLatency(async () => {
+      await c.vault.connect(manager).managerCall(c.strategy.target, 0, setValue);
+      await c.vault.connect(manager).managerCall(c.strategy.target, 0, setValue);
+      const { changed, receipt } = await keeper.poll();
+      expect(changed).to.deep.equal([manager.address]);
+      await expect(receipt).to.emit(c.registry, "ManagerSynced").withArgs(manager.address, false);
+    });
+
+    expect(latency).to.equal(3);
+  });
+
+  it("syncs only the addresses whose permission changed since the last poll", async function () {
+    const { manager, carol, dave } = c.actors;
+    await (await c.authority.setManager(manager.address, true)).wait();
+    await (await c.authority.setManager(carol.address, true)).wait();
+    await (await c.authority.setManager(carol.address, false)).wait();
+    expect((await keeper.poll()).changed).to.have.members([manager.address, carol.address]);
+
+    expect((await keeper.poll()).changed).to.deep.equal([]);
+
+    await (await c.authority.setManager(dave.address, true)).wait();
+    expect((await keeper.poll()).changed).to.deep.equal([dave.address]);
+  });
+
+  it("reports drift between the cache and the authority", async function () {
+    const { manager, carol } = c.actors;
+    await (await c.authority.setManager(manager.address, true)).wait();
+    await (await c.authority.setManager(carol.address, true)).wait();
+    await (await c.registry.syncManagers([manager.address, carol.address])).wait();
+    await (await c.authority.setManager(carol.address, false)).wait();
+
+    const report = await managerDrift(c);
+    expect(report.cacheMode).to.equal(false);
+    expect(report.drifted.map((row) => row.name)).to.deep.equal(["carol"]);
+    expect(report.drifted[0]).to.include({ authority: false, cached: true, effective: false });
+
+    await (await c.registry.setCacheMode(true)).wait();
+    expect((await managerDrift(c)).drifted[0]).to.include({ effective: true });
+
+    await keeper.poll();
+    expect((await managerDrift(c)).drifted).to.deep.equal([]);
+  });
+
+  it("lets only the owner switch modes", async function () {
+    await expect(c.registry.connect(c.actors.manager).setCacheMode(true)).to.be.revertedWithCustomError(
+      c.registry,
+      "NotOwner"
+    );
+  });
+});
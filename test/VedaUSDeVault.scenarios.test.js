@@ -0,0 +1,93 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { expect } = require("chai");
+const { InputError, StateError } = require("../scripts/lib/errors");
+const { namedActors } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+const {
+  ScenarioStepError,
+  listScenarios,
+  loadScenario,
+  createScenarioRunner
+} = require("../scripts/lib/scenario");
+
+describe("Veda USDe Vault scenarios", function () {
+  let stack;
+
+  beforeEach(async function () {
+    stack = await deployStack(await namedActors());
+  });
+
+  for (const name of listScenarios()) {
+    it(`replays scenarios/${name}.json`, async function () {
+      const scenario = loadScenario(name);
+      const runner = createScenarioRunner(stack, scenario);
+
+      const results = await runner.runAll();
+
+      expect(results).to.have.length(scenario.steps.length);
+      expect(runner.done).to.equal(true);
+    });
+  }
+
+  it("fails a step whose balance expectation does not hold", async function () {
+    const runner = createScenarioRunner(stack, {
+      name: "broken",
+      steps: [
+        { action: "fund", actor: "alice", amount: "100", expect: [{ of: "alice", token: "usde", equals: "99" }] }
+      ]
+    });
+
+    await expect(runner.next()).to.be.rejectedWith("expected alice usde = 99, got 100.0");
+  });
+
+  it("fails an expected-revert step that succeeds", async function () {
+    const runner = createScenarioRunner(stack, {
+      name: "broken",
+      steps: [{ action: "fund", actor: "alice", amount: "100", expectRevert: "NotOwner" }]
+    });
+
+    await expect(runner.next()).to.be.rejectedWith("expected NotOwner but the step succeeded");
+  });
+
+  it("fails an expected-revert step that reverts with a different custom error", async function () {
+    const runner = createScenarioRunner(stack, {
+      name: "broken",
+      steps: [{ action: "cancelWithdraw", actor: "alice", requestId: 1, expectRevert: "RequestHandled" }]
+    });
+
+    const error = await runner.next().catch((caught) => caught);
+
+    expect(error).to.be.instanceOf(ScenarioStepError);
+    expect(error.message).to.equal("Step 1 (cancelWithdraw) failed: expected RequestHandled but reverted with NotRequestOwner()");
+    expect(error.revert.name).to.equal("NotRequestOwner");
+  });
+
+  it("rewinds the cursor to an earlier step and drops the later results", async function () {
+    const runner = createScenarioRunner(stack, loadScenario("quest-lifecycle"));
+    await runner.next();
+    await runner.next();
+
+    runner.rewind(1);
+    expect(runner.cursor).to.equal(1);
+    expect(runner.results).to.have.length(1);
+    expect(() => runner.rewind(2)).to.throw(StateError, "Cannot rewind");
+  });
+
+  it("reads scenario files by path only when the caller allows files", function () {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "veda-scenario-"));
+    try {
+      const file = path.join(tmpDir, "flow.json");
+      fs.writeFileSync(file, JSON.stringify({ steps: [{ action: "fund", actor: "alice", amount: "1" }] }));
+      expect(() => loadScenario(file)).to.throw(InputError, "Invalid scenario name");
+      expect(loadScenario(file, { allowFiles: true }).name).to.equal("flow");
+
+      const broken = path.join(tmpDir, "broken.json");
+      fs.writeFileSync(broken, "secret: not json");
+      expect(() => loadScenario(broken, { allowFiles: true })).to.throw(InputError, "broken.json is not valid JSON.");
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
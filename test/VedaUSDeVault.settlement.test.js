@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { namedActors, units } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+const { createWithdrawKeeper } = require("../scripts/lib/withdraw-keeper");
+
+const THREE_DAYS = 3 * 24 * 60 * 60;
+
+describe("Veda USDe Vault keeper settlement", function () {
+  let c;
+  let teller;
+  let alice;
+  let bob;
+  let receiver;
+  let keeperSigner;
+
+  beforeEach(async function () {
+    c = await deployStack(await namedActors(), {
+      mints: [
+        { to: "alice", amount: "1000" },
+        { to: "bob", amount: "1000" }
+      ]
+    });
+    ({ teller } = c);
+    ({ alice, bob, receiver, dave: keeperSigner } = c.actors);
+
+    for (const user of [alice, bob]) {
+      await (await c.usde.connect(user).approve(teller.target, units(500))).wait();
+      await (await teller.connect(user).deposit(units(500), user.address)).wait();
+      await (await c.vault.connect(user).approve(teller.target, units(500))).wait();
+    }
+  });
+
+  async function request(user, shares) {
+    await (await teller.connect(user).requestWithdraw(units(shares))).wait();
+    return Number(await teller.nextRequestId());
+  }
+
+  async function advance(seconds) {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+  }
+
+  it("lets anyone settle an opted-in matured request to the owner's receiver", async function () {
+    await expect(teller.connect(alice).setSettlementReceiver(receiver.address))
+      .to.emit(teller, "SettlementReceiverSet")
+      .withArgs(alice.address, receiver.address);
+    const id = await request(alice, 40);
+    await advance(THREE_DAYS);
+
+    await expect(teller.connect(keeperSigner).settleWithdraws([id]))
+      .to.emit(teller, "WithdrawClaimed")
+      .withArgs(id, alice.address, receiver.address, units(40), units(40))
+      .and.to.emit(teller, "WithdrawSettled")
+      .withArgs(id, keeperSigner.address);
+
+    expect(await c.usde.balanceOf(receiver.address)).to.equal(units(40));
+    expect((await teller.withdrawRequests(id)).handled).to.equal(true);
+    await expect(teller.connect(alice).claimWithdraw(id, alice.address)).to.be.revertedWithCustomError(
+      teller,
+      "RequestHandled"
+    );
+  });
+
+  it("skips requests that are not opted in, not matured or already handled", async function () {
+    await (await teller.connect(alice).setSettlementReceiver(alice.address)).wait();
+    const matured = await request(alice, 10);
+    const cancelled = await request(alice, 10);
+    const notOptedIn = await request(bob, 10);
+    await (await teller.connect(alice).cancelWithdraw(cancelled)).wait();
+    await advance(THREE_DAYS);
+    const fresh = await request(alice, 10);
+
+    const ids = [matured, cancelled, notOptedIn, fresh, 999];
+    expect(await teller.settleWithdraws.staticCall(ids)).to.equal(1n);
+    await (await teller.settleWithdraws(ids)).wait();
+
+    expect((await teller.withdrawRequests(matured)).handled).to.equal(true);
+    expect((await teller.withdrawRequests(notOptedIn)).handled).to.equal(false);
+    expect((await teller.withdrawRequests(fresh)).handled).to.equal(false);
+  });
+
+  it("stops settling once the owner opts out", async function () {
+    await (await teller.connect(bob).setSettlementReceiver(bob.address)).wait();
+    const id = await request(bob, 25);
+    await (await teller.connect(bob).setSettlementReceiver(ethers.ZeroAddress)).wait();
+    await advance(THREE_DAYS);
+
+    expect(await teller.settleWithdraws.staticCall([id])).to.equal(0n);
+  });
+
+  it("keeper settles matured requests in batches and forgets handled ones", async function () {
+    await (await teller.connect(alice).setSettlementReceiver(receiver.address)).wait();
+    const ids = [];
+    for (let i = 0; i < 5; i++) ids.push(await request(alice, 10));
+    const claimedByOwner = await request(alice, 10);
+    const bobs = await request(bob, 10);
+    const keeper = createWithdrawKeeper(c, { signer: keeperSigner, batchSize: 2 });
+
+    const early = await keeper.poll();
+    expect(early.batches).to.deep.equal([]);
+    expect(early.open).to.equal(7);
+
+    await advance(THREE_DAYS);
+    await (await teller.connect(alice).claimWithdraw(claimedByOwner, alice.address)).wait();
+    const later = await request(alice, 10);
+
+    const { open, batches } = await keeper.poll();
+    expect(batches.map((batch) => batch.requestIds)).to.deep.equal([ids.slice(0, 2), ids.slice(2, 4), ids.slice(4)]);
+    expect(batches.flatMap((batch) => batch.settled.map((item) => item.receiver))).to.deep.equal(
+      Array(5).fill(receiver.address)
+    );
+    expect(open).to.equal(2);
+    expect(keeper.open).to.deep.equal([bobs, later]);
+    expect(await c.usde.balanceOf(receiver.address)).to.equal(units(50));
+
+    expect((await keeper.poll()).batches).to.deep.equal([]);
+  });
+
+  it("reports ready requests without sending in dry-run mode", async function () {
+    await (await teller.connect(bob).setSettlementReceiver(receiver.address)).wait();
+    const id = await request(bob, 15);
+    await advance(THREE_DAYS);
+
+    const keeper = createWithdrawKeeper(c);
+    const { ready, batches } = await keeper.poll({ dryRun: true });
+    expect(ready.map((r) => [r.requestId, r.receiver])).to.deep.equal([[id, receiver.address]]);
+    expect(batches).to.deep.equal([]);
+    expect((await teller.withdrawRequests(id)).handled).to.equal(false);
+  });
+});
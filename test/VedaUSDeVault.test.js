@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers, network } = require("hardhat");
+const { namedActors } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
 
 describe("Veda-style USDe Vault", function () {
   let deployer;
@@ -16,36 +18,14 @@ describe("Veda-style USDe Vault", function () {
   let strategy;
 
   beforeEach(async function () {
-    [deployer, alice, bob, manager, receiver] = await ethers.getSigners();
-
-    const MockUSDe = await ethers.getContractFactory("MockUSDe");
-    usde = await MockUSDe.deploy(deployer.address);
-
-    const SimpleManagerAuthority = await ethers.getContractFactory("SimpleManagerAuthority");
-    authority = await SimpleManagerAuthority.deploy(deployer.address);
-
-    const ManagerRegistry = await ethers.getContractFactory("ManagerRegistry");
-    registry = await ManagerRegistry.deploy(deployer.address, authority.target);
-
-    const USDeBoringVault = await ethers.getContractFactory("USDeBoringVault");
-    vault = await USDeBoringVault.deploy(
-      deployer.address,
-      usde.target,
-      registry.target,
-      "Veda USDe Vault Share",
-      "vUSDe"
-    );
-
-    const TellerWith3DayQueue = await ethers.getContractFactory("TellerWith3DayQueue");
-    teller = await TellerWith3DayQueue.deploy(vault.target);
-    await vault.setTeller(teller.target);
-
-    const MockStrategyTarget = await ethers.getContractFactory("MockStrategyTarget");
-    strategy = await MockStrategyTarget.deploy();
-
-    const mintAmount = ethers.parseUnits("1000", 18);
-    await usde.mint(alice.address, mintAmount);
-    await usde.mint(bob.address, mintAmount);
+    const c = await deployStack(await namedActors(), {
+      mints: [
+        { to: "alice", amount: "1000" },
+        { to: "bob", amount: "1000" }
+      ]
+    });
+    ({ usde, authority, registry, vault, teller, strategy } = c);
+    ({ deployer, alice, bob, manager, receiver } = c.actors);
   });
 
   it("mints vault shares when user deposits USDe", async function () {
@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { namedActors, units } = require("../scripts/lib/stack");
+const { deployStack } = require("../scripts/lib/deploy");
+const { InputError } = require("../scripts/lib/errors");
+const { ROUTE_SCHEMAS, validateBody } = require("../scripts/lib/route-schema");
+const { buildBatch } = require("../scripts/lib/manager-call");
+
+async function inputErrorOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error).to.be.instanceOf(InputError);
+    return error;
+  }
+  throw new Error("Expected an InputError");
+}
+
+describe("Veda USDe Vault route input validation", function () {
+  let c;
+
+  before(async function () {
+    c = await deployStack(await namedActors(), { mints: [{ to: "alice", amount: "1000" }] });
+    const { alice } = c.actors;
+    await (await c.usde.connect(alice).approve(c.teller.target, ethers.MaxUint256)).wait();
+    await (await c.teller.connect(alice).deposit(units(100), alice.address)).wait();
+  });
+
+  it("parses only non-negative decimals with at most 18 decimals in units()", function () {
+    expect(units("12.5")).to.equal(ethers.parseUnits("12.5", 18));
+    expect(units(" 7 ")).to.equal(ethers.parseUnits("7", 18));
+    expect(units(".5")).to.equal(ethers.parseUnits("0.5", 18));
+    expect(units("1.000000000000000001")).to.equal(ethers.parseUnits("1", 18) + 1n);
+
+    expect(() => units("-5")).to.throw(InputError, "must not be negative");
+    expect(() => units("1.0000000000000000001", "shares")).to.throw(InputError, "shares has more than 18 decimals");
+    for (const bad of ["abc", "", "1e3", "0x10", "1.", "1,5", null]) {
+      expect(() => units(bad)).to.throw(InputError, "must be a decimal number");
+    }
+  });
+
+  it("fills in defaults and normalises amounts for the handler", async function () {
+    const input = await validateBody(c, ROUTE_SCHEMAS["POST /api/deposit"], {});
+    expect(input).to.deep.equal({ actor: "alice", amount: "100.0" });
+
+    const custom = await validateBody(c, ROUTE_SCHEMAS["POST /api/request-withdraw"], { actor: "alice", shares: "2.50" });
+    expect(custom.shares).to.equal("2.5");
+  });
+
+  it("rejects negative, over-precise and non-numeric amounts with the field that failed", async function () {
+    const schema = ROUTE_SCHEMAS["POST /api/deposit"];
+    const cases = [
+      ["-5", "must not be negative"],
+      ["1.1234567890123456789", "more than 18 decimals"],
+      ["ten", "must be a decimal number"],
+      ["0", "must be greater than 0"]
+    ];
+    for (const [amount, message] of cases) {
+      const error = await inputErrorOf(validateBody(c, schema, { amount }));
+      expect(error.field).to.equal("amount");
+      expect(error.message).to.include(message);
+    }
+  });
+
+  it("rejects unknown actors and request ids that are not positive integers", async function () {
+    const unknown = await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/deposit"], { actor: "mallory" }));
+    expect(unknown.field).to.equal("actor");
+    expect(unknown.message).to.include("Unknown actor 'mallory'");
+
+    const missing = await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/cancel-withdraw"], {}));
+    expect(missing.field).to.equal("requestId");
+    expect(missing.message).to.include("is required");
+
+    for (const requestId of ["x", 0, -1, 1.5, true]) {
+      const error = await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/claim-withdraw"], { requestId }));
+      expect(error.field).to.equal("requestId");
+    }
+  });
+
+  it("rejects amounts above the actor's USDe or share balance and above the vault's USDe", async function () {
+    const deposit = await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/deposit"], { amount: "900.000000000000000001" }));
+    expect(deposit.message).to.equal("amount 900.000000000000000001 exceeds alice's USDe balance of 900.0.");
+    await validateBody(c, ROUTE_SCHEMAS["POST /api/deposit"], { amount: "900" });
+
+    const shares = await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/request-withdraw"], { actor: "bob", shares: "1" }));
+    expect(shares.field).to.equal("shares");
+    expect(shares.message).to.include("bob's share balance of 0.0");
+
+    const transfer = await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/manager-transfer"], { amount: "101" }));
+    expect(transfer.message).to.include("the vault's USDe balance of 100.0");
+  });
+
+  it("reports every invalid field at once and skips balance checks it cannot make", async function () {
+    const error = await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/deposit"], { actor: "mallory", amount: "5000" }));
+    expect(error.errors.map((entry) => entry.field)).to.deep.equal(["actor"]);
+
+    const both = await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/deposit"], { actor: 7, amount: "-1" }));
+    expect(both.errors.map((entry) => entry.field)).to.deep.equal(["actor", "amount"]);
+    expect(both.message).to.match(/^2 invalid fields: /);
+  });
+
+  it("validates cap, fee and ether fields on the admin and manager routes", async function () {
+    expect(await validateBody(c, ROUTE_SCHEMAS["POST /api/admin/deposit-cap"], { cap: "0" })).to.deep.equal({ cap: "0.0" });
+    expect(await validateBody(c, ROUTE_SCHEMAS["POST /api/admin/deposit-cap"], {})).to.deep.equal({});
+    expect((await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/admin/account-cap"], { cap: "-1" }))).field).to.equal("cap");
+
+    const fees = await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/admin/fees"], { managementBps: 1.5 }));
+    expect(fees.field).to.equal("managementBps");
+
+    const value = await inputErrorOf(validateBody(c, ROUTE_SCHEMAS["POST /api/manager-call"], { value: "lots" }));
+    expect(value.field).to.equal("value");
+  });
+
+  it("checks the value of every managerBatch call as an ether amount", async function () {
+    const schema = ROUTE_SCHEMAS["POST /api/manager-batch"];
+    const call = { target: "strategy", signature: "setValue(uint256)", args: [1] };
+
+    const input = await validateBody(c, schema, { calls: [call, { ...call, value: "0.50" }] });
+    expect(input.calls.map((entry) => entry.value)).to.deep.equal([undefined, "0.5"]);
+
+    for (const [value, message] of [
+      ["abc", "must be a decimal number"],
+      ["1.0000000000000000001", "more than 18 decimals"],
+      ["-1", "must not be negative"]
+    ]) {
+      const error = await inputErrorOf(validateBody(c, schema, { calls: [call, { ...call, value }] }));
+      expect(error.field).to.equal("calls[1].value");
+      expect(error.message).to.include(message);
+    }
+    const both = await inputErrorOf(validateBody(c, schema, { calls: [{ ...call, value: "abc" }, "x"] }));
+    expect(both.errors.map((entry) => entry.field)).to.deep.equal(["calls[0].value", "calls[1]"]);
+    expect((await inputErrorOf(validateBody(c, schema, { calls: [] }))).field).to.equal("calls");
+    expect(() => buildBatch(c, [{ ...call, value: "-1" }])).to.throw(InputError, "calls[0]: value must not be negative");
+  });
+});
@@ -4,28 +4,76 @@
   const logBox = document.getElementById("live-log");
 
   const stateEls = {
+    network: document.getElementById("st-network"),
     initialized: document.getElementById("st-initialized"),
     managerAuth: document.getElementById("st-manager-auth"),
     nextRequest: document.getElementById("st-next-request"),
-    aliceUsde: document.getElementById("st-alice-usde"),
-    aliceShares: document.getElementById("st-alice-shares"),
     vaultUsde: document.getElementById("st-vault-usde"),
+    totalShares: document.getElementById("st-total-shares"),
     tellerShares: document.getElementById("st-teller-shares"),
-    receiverUsde: document.getElementById("st-receiver-usde")
+    pricePerShare: document.getElementById("st-price-per-share"),
+    priceChart: document.getElementById("st-price-chart"),
+    actors: document.getElementById("st-actors"),
+    requests: document.getElementById("st-requests"),
+    bookmarks: document.getElementById("st-bookmarks"),
+    scenarioSteps: document.getElementById("st-scenario-steps"),
+    policy: document.getElementById("st-policy"),
+    registry: document.getElementById("st-registry"),
+    limits: document.getElementById("st-limits"),
+    fees: document.getElementById("st-fees"),
+    requestsCaption: document.getElementById("st-requests-caption")
+  };
+
+  let nodeCapabilities = null;
+  let latestState = null;
+  let session = null;
+
+  const TOKEN_KEY = "veda-demo-token";
+
+  const actorSelects = {
+    user: document.getElementById("user-actor"),
+    manager: document.getElementById("manager-actor")
+  };
+  const actionInputs = {
+    amount: document.getElementById("action-amount"),
+    requestId: document.getElementById("action-request-id")
   };
 
   const actionPath = {
     init: { method: "POST", path: "/api/init" },
-    deposit: { method: "POST", path: "/api/deposit" },
-    "enable-manager": { method: "POST", path: "/api/enable-manager" },
-    "manager-transfer": { method: "POST", path: "/api/manager-transfer" },
-    "request-withdraw": { method: "POST", path: "/api/request-withdraw" },
-    "claim-early": { method: "POST", path: "/api/claim-early" },
+    fund: { method: "POST", path: "/api/fund", role: "user", amount: "amount" },
+    deposit: { method: "POST", path: "/api/deposit", role: "user", amount: "amount" },
+    "enable-manager": { method: "POST", path: "/api/enable-manager", role: "manager" },
+    "manager-transfer": { method: "POST", path: "/api/manager-transfer", role: "manager", amount: "amount" },
+    "manager-call": { method: "POST", path: "/api/manager-call", role: "manager" },
+    "manager-batch": { method: "POST", path: "/api/manager-batch", role: "manager" },
+    "simulate-yield": { method: "POST", path: "/api/simulate-yield", amount: "amount" },
+    "simulate-loss": { method: "POST", path: "/api/simulate-loss", role: "manager", amount: "amount" },
+    "request-withdraw": { method: "POST", path: "/api/request-withdraw", role: "user", amount: "shares" },
+    "claim-early": { method: "POST", path: "/api/claim-early", role: "user", requestId: true },
     "advance-3days": { method: "POST", path: "/api/advance-3days" },
-    "claim-withdraw": { method: "POST", path: "/api/claim-withdraw" },
-    "revoke-manager": { method: "POST", path: "/api/revoke-manager" },
-    "manager-after-revoke": { method: "POST", path: "/api/manager-after-revoke" },
+    "claim-withdraw": { method: "POST", path: "/api/claim-withdraw", role: "user", requestId: true },
+    "cancel-withdraw": { method: "POST", path: "/api/cancel-withdraw", role: "user" },
+    "settlement-opt-in": { method: "POST", path: "/api/settlement-receiver", role: "user" },
+    "settle-matured": { method: "POST", path: "/api/settle-matured" },
+    "deposit-cap": { method: "POST", path: "/api/admin/deposit-cap" },
+    "account-cap": { method: "POST", path: "/api/admin/account-cap" },
+    pause: { method: "POST", path: "/api/admin/pause" },
+    allowlist: { method: "POST", path: "/api/admin/allowlist" },
+    "set-fees": { method: "POST", path: "/api/admin/fees" },
+    "accrue-fees": { method: "POST", path: "/api/fees/accrue" },
+    "revoke-manager": { method: "POST", path: "/api/revoke-manager", role: "manager" },
+    "manager-after-revoke": { method: "POST", path: "/api/manager-after-revoke", role: "manager" },
     "run-full": { method: "POST", path: "/api/run-full" },
+    "manage-policy": { method: "POST", path: "/api/manage-policy" },
+    "registry-cache": { method: "POST", path: "/api/registry/cache-mode" },
+    "managers-sync": { method: "POST", path: "/api/managers/sync" },
+    "scenario-load": { method: "POST", path: "/api/scenarios/load" },
+    "scenario-step": { method: "POST", path: "/api/scenarios/step" },
+    "scenario-run": { method: "POST", path: "/api/scenarios/run" },
+    "bookmark-create": { method: "POST", path: "/api/bookmarks" },
+    "bookmark-revert": { method: "POST", path: "/api/bookmarks/revert" },
+    "bookmark-delete": { method: "POST", path: "/api/bookmarks/delete" },
     state: { method: "GET", path: "/api/state" }
   };
 
@@ -82,17 +130,331 @@
     el.textContent = value ?? "-";
   }
 
+  function shortAddress(address) {
+    if (!address) return "-";
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+  }
+
+  function formatDuration(seconds) {
+    if (!seconds) return "0s";
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days) return `${days}d ${hours}h`;
+    if (hours) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${seconds % 60}s`;
+  }
+
+  function cell(row, text, className) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    if (className) td.className = className;
+    row.appendChild(td);
+    return td;
+  }
+
+  function syncActorSelect(select, names) {
+    if (!select) return;
+    const current = select.value;
+    const existing = Array.from(select.options).map((option) => option.value);
+    if (existing.join(",") === names.join(",")) return;
+
+    select.textContent = "";
+    names.forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    if (names.includes(current)) select.value = current;
+  }
+
+  function renderActors(actors) {
+    const body = stateEls.actors;
+    if (!body || !Array.isArray(actors)) return;
+
+    const names = actors.map((actor) => actor.name);
+    syncActorSelect(actorSelects.user, names);
+    syncActorSelect(actorSelects.manager, names);
+
+    body.textContent = "";
+    actors.forEach((actor) => {
+      const row = document.createElement("tr");
+      cell(row, actor.name);
+      cell(row, shortAddress(actor.address)).title = actor.address;
+      cell(row, actor.usde);
+      cell(row, actor.shares);
+      cell(row, `${actor.sharePercent}%`);
+      cell(row, managerLabel(actor));
+      body.appendChild(row);
+    });
+  }
+
+  // The vault sees the registry's effective answer; in cached mode it can lag the authority.
+  function managerLabel(actor) {
+    const effective = actor.managerEffective ?? actor.managerAuthorized;
+    if (effective === actor.managerAuthorized) return effective ? "yes" : "no";
+    return `${effective ? "yes" : "no"} (authority: ${actor.managerAuthorized ? "yes" : "no"}, awaiting sync)`;
+  }
+
+  function renderRequests(requests) {
+    const body = stateEls.requests;
+    if (!body) return;
+
+    body.textContent = "";
+    const items = requests?.items || [];
+
+    if (stateEls.requestsCaption) {
+      stateEls.requestsCaption.textContent = requests
+        ? `Withdraw requests (${items.length} of ${requests.total})`
+        : "Withdraw requests";
+    }
+
+    if (!items.length) {
+      const row = document.createElement("tr");
+      cell(row, "No requests yet.").colSpan = 9;
+      body.appendChild(row);
+      return;
+    }
+
+    items.forEach((request) => {
+      const row = document.createElement("tr");
+      cell(row, `#${request.id}`);
+      cell(row, shortAddress(request.owner)).title = request.owner;
+      cell(row, request.shares);
+      cell(row, request.requestedAssets ?? "-");
+      cell(row, request.assets ?? "-").title = request.status === "claimed" ? "Paid at claim" : "Value at current price";
+      cell(row, new Date(request.unlockTimestamp * 1000).toLocaleString());
+      cell(row, formatDuration(request.secondsLeft));
+      const status = cell(row, request.status, `status status-${request.status}`);
+      if (request.settlesTo) status.title = `Keeper settles to ${request.settlesTo}`;
+      if (request.settlesTo && request.status === "matured") status.textContent = `matured (keeper -> ${request.settlesTo})`;
+
+      const actions = cell(row, "");
+      if (!request.handled) {
+        const button = document.createElement("button");
+        button.className = "btn tiny cancel-btn";
+        button.textContent = "Cancel";
+        button.dataset.gate = "cancel-withdraw";
+        button.disabled = !isUsable(button);
+        button.addEventListener("click", () =>
+          runAction(button, "cancel-withdraw", { requestId: request.id, actor: request.ownerName })
+        );
+        actions.appendChild(button);
+      }
+      body.appendChild(row);
+    });
+  }
+
+  function svgElement(tag, attributes) {
+    const element = document.createElementNS("http://www.w3.org/2000/svg", tag);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+  }
+
+  function renderPriceChart(history) {
+    const chart = stateEls.priceChart;
+    if (!chart) return;
+
+    chart.textContent = "";
+    const points = Array.isArray(history) ? history : [];
+    if (points.length < 2) {
+      const empty = svgElement("text", { x: 300, y: 80, "text-anchor": "middle", class: "chart-empty" });
+      empty.textContent = "Price history appears once the vault has a few blocks.";
+      chart.appendChild(empty);
+      return;
+    }
+
+    const width = 600;
+    const height = 160;
+    const pad = 28;
+    const prices = points.map((point) => Number(point.pricePerShare));
+    const low = Math.min(...prices, 1);
+    const high = Math.max(...prices, 1);
+    const span = high - low || 1;
+    const firstBlock = points[0].blockNumber;
+    const blockSpan = points[points.length - 1].blockNumber - firstBlock || 1;
+    const x = (blockNumber) => pad + ((blockNumber - firstBlock) / blockSpan) * (width - 2 * pad);
+    const y = (price) => height - pad - ((price - low) / span) * (height - 2 * pad);
+
+    chart.appendChild(svgElement("line", { x1: pad, x2: width - pad, y1: y(1), y2: y(1), class: "chart-par" }));
+    const line = points.map((point, i) => `${x(point.blockNumber).toFixed(1)},${y(prices[i]).toFixed(1)}`).join(" ");
+    chart.appendChild(svgElement("polyline", { points: line, class: "chart-line" }));
+
+    [
+      [high, pad - 8],
+      [low, height - pad + 16]
+    ].forEach(([value, top]) => {
+      const text = svgElement("text", { x: 4, y: top, class: "chart-label" });
+      text.textContent = value.toFixed(4);
+      chart.appendChild(text);
+    });
+    const range = svgElement("text", { x: width - pad, y: height - 4, "text-anchor": "end", class: "chart-label" });
+    range.textContent = `blocks ${firstBlock}-${points[points.length - 1].blockNumber}`;
+    chart.appendChild(range);
+  }
+
+  function renderBookmarks(bookmarks) {
+    const list = stateEls.bookmarks;
+    if (!list || !Array.isArray(bookmarks)) return;
+
+    list.textContent = "";
+    if (!bookmarks.length) {
+      const empty = document.createElement("li");
+      empty.className = "subtle";
+      empty.textContent = "No bookmarks yet.";
+      list.appendChild(empty);
+      return;
+    }
+
+    bookmarks.forEach((bookmark) => {
+      const item = document.createElement("li");
+      const text = document.createElement("span");
+      text.textContent = `${bookmark.name} (block ${bookmark.blockNumber}, ${new Date(bookmark.chainTime * 1000).toLocaleString()})`;
+      item.appendChild(text);
+
+      [
+        ["Revert", "bookmark-revert"],
+        ["Delete", "bookmark-delete"]
+      ].forEach(([labelText, action]) => {
+        const button = document.createElement("button");
+        button.className = "btn tiny";
+        button.textContent = labelText;
+        button.dataset.gate = action;
+        button.disabled = !isUsable(button);
+        button.addEventListener("click", () => runAction(button, action, { name: bookmark.name }));
+        item.appendChild(button);
+      });
+      list.appendChild(item);
+    });
+  }
+
+  function isSupported(control) {
+    const needed = control.dataset.requires;
+    return !needed || !nodeCapabilities || Boolean(nodeCapabilities[needed]);
+  }
+
+  // A control names its route through data-action, or data-gate on itself or its form.
+  function gateOf(control) {
+    const gated = control.dataset.gate ? control : control.closest("[data-gate]");
+    return control.dataset.action || (gated && gated.dataset.gate);
+  }
+
+  function isPermitted(control) {
+    const spec = actionPath[gateOf(control)];
+    if (!spec || spec.method !== "POST" || !session) return true;
+    return session.allowedRoutes.includes(`POST ${spec.path}`);
+  }
+
+  function isUsable(control) {
+    return isSupported(control) && isPermitted(control);
+  }
+
+  function refreshControls() {
+    document.querySelectorAll("[data-requires], [data-action], [data-gate] button, button[data-gate]").forEach((control) => {
+      control.disabled = !isUsable(control);
+      if (!isSupported(control)) control.title = "Not supported by the connected node.";
+      else if (!isPermitted(control)) control.title = "Presenter only: sign in with the presenter token.";
+      else control.title = "";
+    });
+  }
+
+  function renderNetwork(info) {
+    if (!info) return;
+
+    nodeCapabilities = info.capabilities;
+    setStateText(stateEls.network, info.external ? `${info.name} (${info.rpcUrl})` : "in-process hardhat");
+    refreshControls();
+  }
+
+  function renderScenario(scenario) {
+    const list = stateEls.scenarioSteps;
+    if (!list) return;
+
+    list.textContent = "";
+    if (!scenario) return;
+
+    scenario.steps.forEach((stepLabel, index) => {
+      const item = document.createElement("li");
+      item.textContent = stepLabel;
+      if (index < scenario.cursor) item.className = "step-done";
+      else if (index === scenario.cursor) item.className = "step-next";
+      list.appendChild(item);
+    });
+  }
+
   function renderState(state) {
     if (!state) return;
 
+    latestState = state;
+    renderNetwork(state.network);
     setStateText(stateEls.initialized, String(Boolean(state.initialized)));
     setStateText(stateEls.managerAuth, String(Boolean(state.managerAuthorized)));
     setStateText(stateEls.nextRequest, state.nextRequestId ?? "-");
-    setStateText(stateEls.aliceUsde, state.balances?.aliceUsde ?? "-");
-    setStateText(stateEls.aliceShares, state.balances?.aliceShares ?? "-");
     setStateText(stateEls.vaultUsde, state.balances?.vaultUsde ?? "-");
+    setStateText(stateEls.totalShares, state.balances?.totalShares ?? "-");
     setStateText(stateEls.tellerShares, state.balances?.tellerShares ?? "-");
-    setStateText(stateEls.receiverUsde, state.balances?.receiverUsde ?? "-");
+    setStateText(stateEls.pricePerShare, state.balances?.pricePerShare ?? "-");
+    renderPriceChart(state.priceHistory);
+    renderActors(state.actors);
+    renderRequests(state.requests);
+    renderBookmarks(state.bookmarks);
+    renderScenario(state.scenario);
+    renderPolicy(state);
+    renderRegistry(state);
+    renderLimits(state);
+    renderFees(state);
+  }
+
+  function renderFees(state) {
+    const fees = state.fees;
+    if (!stateEls.fees || !state.initialized || !fees) return;
+
+    if (!fees.recipient) {
+      stateEls.fees.textContent = "Fees off.";
+      return;
+    }
+    stateEls.fees.textContent =
+      `${fees.managementBps} bps/year + ${fees.performanceBps} bps over HWM ${fees.highWaterMark} to ${fees.recipient} ` +
+      `(holds ${fees.recipientShares} shares); pending ${fees.pending.management} + ${fees.pending.performance} USDe.`;
+  }
+
+  function renderLimits(state) {
+    const limits = state.tellerLimits;
+    if (!stateEls.limits || !state.initialized || !limits) return;
+
+    const parts = [
+      limits.depositCap ? `TVL cap ${limits.depositCap}` : null,
+      limits.accountCap ? `account cap ${limits.accountCap}` : null,
+      limits.depositsPaused ? "deposits paused" : null,
+      limits.withdrawRequestsPaused ? "withdraw requests paused" : null,
+      limits.allowlistEnabled || limits.allowedDepositors.length
+        ? `allowlist ${limits.allowlistEnabled ? "on" : "off"}: ${limits.allowedDepositors.join(", ") || "nobody"}`
+        : null
+    ].filter(Boolean);
+    stateEls.limits.textContent = parts.length ? parts.join("; ") : "No limits set.";
+  }
+
+  function renderRegistry(state) {
+    if (!stateEls.registry || !state.initialized || !state.registry) return;
+
+    const { cacheMode, drifted } = state.registry;
+    const mode = cacheMode ? "Registry in cached mode" : "Registry in live mode";
+    stateEls.registry.textContent = drifted.length ? `${mode}; cache drift: ${drifted.join(", ")}.` : `${mode}; cache in sync.`;
+  }
+
+  function renderPolicy(state) {
+    if (!stateEls.policy || !state.initialized) return;
+
+    const policy = state.managePolicy;
+    if (!policy) {
+      stateEls.policy.textContent = "Manage policy off.";
+    } else if (!policy.leaves) {
+      stateEls.policy.textContent = `Root ${policy.root.slice(0, 10)}... set, but its policy is not loaded here.`;
+    } else {
+      const leaves = policy.leaves.map((leaf) => `${leaf.target}.${leaf.signature}`).join(", ");
+      stateEls.policy.textContent = `${policy.name}: ${leaves}`;
+    }
   }
 
   function appendLog(line) {
@@ -103,23 +465,69 @@
     logBox.textContent = `${base}[${now}] ${line}`;
   }
 
-  async function callApi(action) {
+  function apiFetch(path, init = {}) {
+    const token = sessionStorage.getItem(TOKEN_KEY);
+    const headers = { ...(init.headers || {}) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    return fetch(path, { ...init, headers });
+  }
+
+  function markField(input, message) {
+    if (!input) return;
+    input.classList.add("field-error");
+    input.title = message;
+  }
+
+  function clearFieldErrors() {
+    document.querySelectorAll(".field-error").forEach((input) => {
+      input.classList.remove("field-error");
+      input.title = "";
+    });
+  }
+
+  // Points each field-level error from the server at the control that supplied the field.
+  function markFieldErrors(spec, errors) {
+    errors.forEach(({ field, message }) => {
+      if (field === "actor") markField(actorSelects[spec.role], message);
+      else if (field === spec.amount) markField(actionInputs.amount, message);
+      else if (field === "requestId") markField(actionInputs.requestId, message);
+    });
+  }
+
+  async function callApi(action, body) {
     const spec = actionPath[action];
     if (!spec) {
       appendLog(`Unknown action: ${action}`);
       return;
     }
 
+    const payloadBody = { ...(body || {}) };
+    const select = actorSelects[spec.role];
+    if (select && !payloadBody.actor) {
+      payloadBody.actor = select.value;
+    }
+    // Blank inputs are left out so the server applies the action's default.
+    const amount = actionInputs.amount && actionInputs.amount.value.trim();
+    if (spec.amount && amount && payloadBody[spec.amount] === undefined) {
+      payloadBody[spec.amount] = amount;
+    }
+    const requestId = actionInputs.requestId && actionInputs.requestId.value.trim();
+    if (spec.requestId && requestId && payloadBody.requestId === undefined) {
+      payloadBody.requestId = requestId;
+    }
+    clearFieldErrors();
+
     const init = { method: spec.method };
     if (spec.method === "POST") {
       init.headers = { "Content-Type": "application/json" };
-      init.body = "{}";
+      init.body = JSON.stringify(payloadBody);
     }
 
-    const response = await fetch(spec.path, init);
+    const response = await apiFetch(spec.path, init);
     const payload = await response.json();
 
     if (!payload.ok) {
+      if (Array.isArray(payload.errors)) markFieldErrors(spec, payload.errors);
       throw new Error(payload.error || "Request failed");
     }
 
@@ -129,31 +537,515 @@
     }
     if (data.message) {
       appendLog(data.message);
+      if (Array.isArray(data.decoded) && data.decoded.length) {
+        const values = data.decoded.map((output) => `${output.name || output.type}=${JSON.stringify(output.value)}`);
+        appendLog(`Returned: ${values.join(", ")}`);
+      }
     } else if (action === "state") {
       appendLog("State refreshed.");
     }
     renderState(data.state || data);
   }
 
-  document.querySelectorAll(".action-btn").forEach((button) => {
-    button.addEventListener("click", async () => {
-      const action = button.dataset.action;
-      const original = button.textContent;
-      button.disabled = true;
-      button.textContent = "Running...";
+  let refreshTimer = null;
 
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => {
+      apiFetch(actionPath.state.path)
+        .then((response) => response.json())
+        .then((payload) => payload.ok && renderState(payload.data))
+        .catch(() => {});
+    }, 300);
+  }
+
+  function connectEventStream() {
+    if (typeof EventSource === "undefined") return;
+
+    const stream = new EventSource("/api/events/stream");
+    stream.addEventListener("chain-event", (message) => {
+      const event = JSON.parse(message.data);
+      appendLog(`[chain #${event.blockNumber}] ${event.summary} (tx ${event.txHash.slice(0, 10)}...)`);
+      scheduleRefresh();
+    });
+    stream.addEventListener("reset", () => {
+      appendLog("[chain] Vault stack redeployed; event feed cleared.");
+    });
+    stream.addEventListener("rewind", (message) => {
+      const { blockNumber } = JSON.parse(message.data);
+      appendLog(`[chain] Rewound to block ${blockNumber}.`);
+      scheduleRefresh();
+    });
+    stream.addEventListener("error", () => {
+      if (stream.readyState === EventSource.CLOSED) {
+        appendLog("Live event stream closed.");
+      }
+    });
+  }
+
+  async function runAction(button, action, body) {
+    return withBusy(button, () => callApi(action, body));
+  }
+
+  async function withBusy(button, task) {
+    const original = button.textContent;
+    button.disabled = true;
+    button.textContent = "Running...";
+
+    try {
+      await task();
+    } catch (error) {
+      appendLog(`Error: ${error.message}`);
+    } finally {
+      button.disabled = !isUsable(button);
+      button.textContent = original;
+    }
+  }
+
+  const managerCallForm = document.getElementById("manager-call-form");
+  if (managerCallForm) {
+    managerCallForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const fields = managerCallForm.elements;
+      const button = managerCallForm.querySelector("button");
+
+      let args;
       try {
-        await callApi(action);
-      } catch (error) {
-        appendLog(`Error: ${error.message}`);
-      } finally {
-        button.disabled = false;
-        button.textContent = original;
+        args = fields.args.value.trim() ? JSON.parse(fields.args.value) : [];
+      } catch (_) {
+        appendLog("Error: arguments must be a JSON array, e.g. [\"receiver\", \"1000\"].");
+        return;
       }
+
+      runAction(button, "manager-call", {
+        target: fields.target.value,
+        signature: fields.signature.value,
+        args,
+        value: fields.value.value || undefined
+      });
     });
-  });
+  }
+
+  const wallet = { provider: null, account: null, deployment: null };
+  const feesForm = document.getElementById("fees-form");
+  if (feesForm) {
+    feesForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const fields = feesForm.elements;
+      const button = feesForm.querySelector("button[type=submit]");
+      runAction(button, "set-fees", {
+        recipient: fields.recipient.value.trim() || null,
+        managementBps: Number(fields.managementBps.value || 0),
+        performanceBps: Number(fields.performanceBps.value || 0)
+      });
+    });
+  }
+
+  const limitsForm = document.getElementById("limits-form");
+  if (limitsForm) {
+    limitsForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const button = event.submitter || limitsForm.querySelector("button");
+      const field = button.value === "deposit-cap" ? "depositCap" : "accountCap";
+      runAction(button, button.value, { cap: limitsForm.elements[field].value.trim() || null });
+    });
+
+    limitsForm.querySelectorAll("[data-limit]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const limits = (latestState && latestState.tellerLimits) || {};
+        const user = actorSelects.user.value;
+        if (button.dataset.limit === "deposits") {
+          runAction(button, "pause", { deposits: !limits.depositsPaused });
+        } else if (button.dataset.limit === "withdrawRequests") {
+          runAction(button, "pause", { withdrawRequests: !limits.withdrawRequestsPaused });
+        } else if (button.dataset.limit === "allowlist") {
+          runAction(button, "allowlist", { enabled: !limits.allowlistEnabled });
+        } else {
+          const allowed = (limits.allowedDepositors || []).includes(user);
+          runAction(button, "allowlist", { allow: { [user]: !allowed } });
+        }
+      });
+    });
+  }
+
+  const managerBatchForm = document.getElementById("manager-batch-form");
+  if (managerBatchForm) {
+    managerBatchForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const button = managerBatchForm.querySelector("button");
+
+      let calls;
+      try {
+        calls = JSON.parse(managerBatchForm.elements.calls.value);
+      } catch (_) {
+        appendLog("Error: calls must be a JSON array of { target, signature, args, value } objects.");
+        return;
+      }
+
+      runAction(button, "manager-batch", { calls });
+    });
+  }
+
+  const walletForm = document.getElementById("wallet-form");
+  const walletStatus = document.getElementById("wallet-status");
+
+  // EIP-1193 provider that forwards to the demo server's /rpc relay; the node signs for its
+  // unlocked accounts, so the same wallet flow runs without a browser extension.
+  function localProvider(rpcPath) {
+    let nextId = 0;
+    return {
+      isLocalStandIn: true,
+      async request({ method, params = [] }) {
+        const response = await apiFetch(rpcPath, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ jsonrpc: "2.0", id: ++nextId, method, params })
+        });
+        const payload = await response.json();
+        if (payload.error) {
+          const error = new Error(payload.error.message);
+          error.code = payload.error.code;
+          error.data = payload.error.data;
+          throw error;
+        }
+        return payload.result;
+      }
+    };
+  }
+
+  function parseUnits(value) {
+    const text = String(value).trim();
+    if (!/^\d+(\.\d{1,18})?$/.test(text)) {
+      throw new Error(`Invalid amount '${value}': use a positive number with at most 18 decimals.`);
+    }
+    const [whole, fraction = ""] = text.split(".");
+    return BigInt(whole) * 10n ** 18n + BigInt(fraction.padEnd(18, "0"));
+  }
+
+  function formatUnits(value) {
+    const whole = value / 10n ** 18n;
+    const fraction = (value % 10n ** 18n).toString().padStart(18, "0").replace(/0+$/, "");
+    return fraction ? `${whole}.${fraction}` : `${whole}.0`;
+  }
+
+  function encodeWord(value) {
+    const hex = typeof value === "bigint" ? value.toString(16) : value.toLowerCase().replace(/^0x/, "");
+    return hex.padStart(64, "0");
+  }
+
+  function walletCall(name, args) {
+    const call = wallet.deployment.wallet.calls[name];
+    return {
+      to: wallet.deployment.addresses[call.contract],
+      data: call.selector + args.map(encodeWord).join("")
+    };
+  }
+
+  async function readUint(name, args) {
+    const result = await wallet.provider.request({ method: "eth_call", params: [walletCall(name, args), "latest"] });
+    return BigInt(result);
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  async function waitForReceipt(hash) {
+    for (let attempt = 0; attempt < 120; attempt += 1) {
+      const receipt = await wallet.provider.request({ method: "eth_getTransactionReceipt", params: [hash] });
+      if (receipt) return receipt;
+      await sleep(500);
+    }
+    throw new Error(`Transaction ${hash} was not mined within 60 seconds.`);
+  }
+
+  async function sendWalletTx(name, args) {
+    const call = wallet.deployment.wallet.calls[name];
+    const hash = await wallet.provider.request({
+      method: "eth_sendTransaction",
+      params: [{ from: wallet.account, ...walletCall(name, args) }]
+    });
+    appendLog(`[wallet] ${call.signature} sent (tx ${hash.slice(0, 10)}...).`);
+    const receipt = await waitForReceipt(hash);
+    if (receipt.status !== "0x1") {
+      throw new Error(`${call.signature} reverted in block ${Number(receipt.blockNumber)}.`);
+    }
+    appendLog(`[wallet] ${call.signature} confirmed in block ${Number(receipt.blockNumber)}.`);
+  }
+
+  // Catches amounts the wallet cannot cover before sending, instead of as a revert in the teller.
+  async function requireCovered(input, amount, unit, balanceCall, allowanceCall) {
+    const { teller } = wallet.deployment.addresses;
+    const balance = await readUint(balanceCall, [wallet.account]);
+    const allowance = await readUint(allowanceCall, [wallet.account, teller]);
+    let message = null;
+    if (amount > balance) {
+      message = `Amount ${formatUnits(amount)} exceeds the wallet's ${unit} balance of ${formatUnits(balance)}.`;
+    } else if (amount > allowance) {
+      message = `Amount ${formatUnits(amount)} exceeds the teller's ${unit} allowance of ${formatUnits(allowance)}; approve first.`;
+    }
+    if (message) {
+      markField(input, message);
+      throw new Error(message);
+    }
+  }
+
+  async function renderWallet() {
+    if (!walletStatus) return;
+    if (!wallet.account) {
+      walletStatus.textContent = "Not connected.";
+      return;
+    }
+
+    const { teller } = wallet.deployment.addresses;
+    const [usde, shares, allowance, shareAllowance] = await Promise.all([
+      readUint("usdeBalance", [wallet.account]),
+      readUint("shareBalance", [wallet.account]),
+      readUint("allowance", [wallet.account, teller]),
+      readUint("shareAllowance", [wallet.account, teller])
+    ]);
+    walletStatus.textContent =
+      `${wallet.account} | USDe ${formatUnits(usde)} (teller may spend ${formatUnits(allowance)}) | ` +
+      `shares ${formatUnits(shares)} (teller may spend ${formatUnits(shareAllowance)})`;
+  }
+
+  function pickLocalAccount(accounts) {
+    const actorName = actorSelects.user?.value;
+    const actor = latestState?.actors?.find((entry) => entry.name === actorName);
+    const match = actor && accounts.find((account) => account.toLowerCase() === actor.address.toLowerCase());
+    return match || accounts[0];
+  }
 
-  callApi("state").catch(() => {
-    appendLog("Start interactive mode with: npm run web:demo");
+  async function ensureChain(chainId) {
+    const current = Number(await wallet.provider.request({ method: "eth_chainId" }));
+    if (current === chainId) return;
+    try {
+      await wallet.provider.request({
+        method: "wallet_switchEthereumChain",
+        params: [{ chainId: `0x${chainId.toString(16)}` }]
+      });
+    } catch (_) {
+      throw new Error(`Wallet is on chain ${current}; switch it to chain ${chainId} (the demo node).`);
+    }
+  }
+
+  async function connectWallet(kind) {
+    const response = await apiFetch("/api/deployment");
+    const payload = await response.json();
+    if (!payload.ok) throw new Error(payload.error || "Deployment info unavailable");
+
+    const deployment = payload.data;
+    const provider = kind === "local" ? localProvider(deployment.wallet.rpcPath) : window.ethereum;
+    if (!provider) throw new Error("No injected wallet found; choose the local stand-in provider instead.");
+
+    wallet.deployment = deployment;
+    wallet.provider = provider;
+    const accounts = await provider.request({ method: "eth_requestAccounts" });
+    if (!accounts.length) throw new Error("Wallet returned no accounts.");
+    wallet.account = kind === "local" ? pickLocalAccount(accounts) : accounts[0];
+    await ensureChain(deployment.chainId);
+
+    if (!provider.isLocalStandIn && typeof provider.on === "function" && !provider.demoListeners) {
+      provider.demoListeners = true;
+      provider.on("accountsChanged", (next) => {
+        wallet.account = next[0] || null;
+        renderWallet().catch((error) => appendLog(`Error: ${error.message}`));
+      });
+      provider.on("chainChanged", () => appendLog("[wallet] Chain changed; reconnect to continue."));
+    }
+    appendLog(`[wallet] Connected ${wallet.account} on chain ${deployment.chainId}.`);
+  }
+
+  async function runWalletAction(action) {
+    const fields = walletForm.elements;
+    if (action === "connect") {
+      await connectWallet(fields.provider.value);
+    } else {
+      if (!wallet.account) throw new Error("Connect a wallet first.");
+      const account = wallet.account;
+      const requestId = () => {
+        const text = fields.requestId.value.trim();
+        if (!/^[1-9]\d*$/.test(text)) {
+          markField(fields.requestId, "Request ID must be a positive integer.");
+          throw new Error("Request ID must be a positive integer.");
+        }
+        return BigInt(text);
+      };
+      const amount = () => {
+        try {
+          return parseUnits(fields.amount.value);
+        } catch (error) {
+          markField(fields.amount, error.message);
+          throw error;
+        }
+      };
+      clearFieldErrors();
+
+      if (action === "fund") {
+        await callApi("fund", { address: account, amount: "1000" });
+      } else if (action === "approve") {
+        await sendWalletTx("approve", [wallet.deployment.addresses.teller, amount()]);
+      } else if (action === "approveShares") {
+        await sendWalletTx("approveShares", [wallet.deployment.addresses.teller, amount()]);
+      } else if (action === "deposit") {
+        const assets = amount();
+        await requireCovered(fields.amount, assets, "USDe", "usdeBalance", "allowance");
+        await sendWalletTx("deposit", [assets, account]);
+      } else if (action === "requestWithdraw") {
+        const shares = amount();
+        await requireCovered(fields.amount, shares, "share", "shareBalance", "shareAllowance");
+        await sendWalletTx("requestWithdraw", [shares]);
+      } else if (action === "cancelWithdraw") {
+        await sendWalletTx("cancelWithdraw", [requestId()]);
+      } else if (action === "claimWithdraw") {
+        await sendWalletTx("claimWithdraw", [requestId(), account]);
+      }
+      if (action !== "fund") await callApi("state");
+    }
+    await renderWallet();
+  }
+
+  if (walletForm) {
+    walletForm.querySelectorAll("[data-wallet]").forEach((button) => {
+      button.addEventListener("click", () => withBusy(button, () => runWalletAction(button.dataset.wallet)));
+    });
+  }
+
+  async function loadScenarioList() {
+    const select = document.getElementById("scenario-select");
+    if (!select) return;
+
+    const response = await apiFetch("/api/scenarios");
+    const payload = await response.json();
+    if (!payload.ok) return;
+
+    select.textContent = "";
+    payload.data.available.forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+  }
+
+  async function loadPolicyList() {
+    const select = document.getElementById("policy-select");
+    if (!select) return;
+
+    const response = await apiFetch("/api/policies");
+    const payload = await response.json();
+    if (!payload.ok) return;
+
+    payload.data.available.forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+  }
+
+  const policyApply = document.getElementById("policy-apply");
+  if (policyApply) {
+    policyApply.addEventListener("click", () => {
+      const select = document.getElementById("policy-select");
+      runAction(policyApply, "manage-policy", { policy: select.value || null });
+    });
+  }
+
+  const scenarioLoad = document.getElementById("scenario-load");
+  if (scenarioLoad) {
+    scenarioLoad.addEventListener("click", () => {
+      const select = document.getElementById("scenario-select");
+      runAction(scenarioLoad, "scenario-load", { name: select.value });
+    });
+  }
+
+  const bookmarkForm = document.getElementById("bookmark-form");
+  if (bookmarkForm) {
+    bookmarkForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const input = document.getElementById("bookmark-name");
+      const button = bookmarkForm.querySelector("button");
+      runAction(button, "bookmark-create", { name: input.value }).then(() => {
+        input.value = "";
+      });
+    });
+  }
+
+  const registryCache = document.getElementById("registry-cache");
+  if (registryCache) {
+    registryCache.addEventListener("click", () => {
+      const cacheMode = Boolean(latestState && latestState.registry && latestState.registry.cacheMode);
+      runAction(registryCache, "registry-cache", { enabled: !cacheMode });
+    });
+  }
+
+  const sessionForm = document.getElementById("session-form");
+  const sessionStatus = document.getElementById("st-session");
+
+  function describeSession() {
+    if (session.mode === "open") return "Open access: no presenter token is configured, so every control is available.";
+    if (session.role === "presenter") return "Signed in as presenter: every control is available.";
+    if (session.role === "participant") return "Participant: user actions only. Presenter controls are disabled.";
+    return "This demo needs an access token: sign in to run user actions.";
+  }
+
+  // Reads the caller's role and allowed routes; a stored token the server rejects is dropped.
+  async function loadSession() {
+    let response = await apiFetch("/api/session");
+    if (response.status === 401 && sessionStorage.getItem(TOKEN_KEY)) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      appendLog("Access token rejected; continuing without it.");
+      response = await apiFetch("/api/session");
+    }
+    const payload = await response.json();
+    if (!payload.ok) throw new Error(payload.error || "Session info unavailable");
+
+    session = payload.data;
+    if (sessionStatus) sessionStatus.textContent = describeSession();
+    if (sessionForm) {
+      sessionForm.querySelectorAll("input, button").forEach((control) => {
+        control.hidden = session.mode === "open";
+      });
+      document.getElementById("session-sign-out").hidden = session.mode === "open" || !session.authenticated;
+    }
+    refreshControls();
+  }
+
+  if (sessionForm) {
+    sessionForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const input = document.getElementById("session-token");
+      const button = sessionForm.querySelector("button[type=submit]");
+      if (!input.value.trim()) return;
+      sessionStorage.setItem(TOKEN_KEY, input.value.trim());
+      input.value = "";
+      withBusy(button, async () => {
+        await loadSession();
+        appendLog(describeSession());
+      });
+    });
+
+    document.getElementById("session-sign-out").addEventListener("click", (event) => {
+      sessionStorage.removeItem(TOKEN_KEY);
+      withBusy(event.currentTarget, async () => {
+        await loadSession();
+        appendLog(describeSession());
+      });
+    });
+  }
+
+  document.querySelectorAll(".action-btn").forEach((button) => {
+    button.addEventListener("click", () => runAction(button, button.dataset.action));
   });
+
+  loadSession()
+    .then(() => callApi("state"))
+    .then(() => {
+      connectEventStream();
+      return Promise.all([loadScenarioList(), loadPolicyList()]);
+    })
+    .catch(() => {
+      appendLog("Start interactive mode with: npm run web:demo");
+    });
 })();